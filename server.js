@@ -8,7 +8,9 @@ const https = require('https');
 const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { execFile } = require('child_process');
+const net = require('net');
 
 const app = express();
 
@@ -18,13 +20,54 @@ const app = express();
 const CONFIG = {
   PFSENSE_URL: process.env.PFSENSE_URL || 'https://10.40.0.1:5555',
   API_KEY: process.env.PFSENSE_API_KEY,
+  // 'pfsense' or 'opnsense' — OPNsense also needs the API secret (key and secret are a pair)
+  FIREWALL_TYPE: process.env.FIREWALL_TYPE === 'opnsense' ? 'opnsense' : 'pfsense',
+  API_SECRET: process.env.FIREWALL_API_SECRET || '',
   // HOME (opt2) interface — these are BLOCK rules.
   // blockEnabled=true → kid is BLOCKED; blockEnabled=false → kid is ALLOWED outside schedule.
   // Loaded from HOME_RULES env var as JSON array: [{ tracker, name, scheduleTracker }, ...]
+  // Once the roster is edited in the app it is saved to settings.json and wins over .env.
   HOME_RULES: JSON.parse(process.env.HOME_RULES || '[]'),
   // UniFi dashboard integration — set UNIFI_DASHBOARD_URL to enable WiFi client blocking
   UNIFI_URL: process.env.UNIFI_DASHBOARD_URL || '',
-  UNIFI_SITE: process.env.UNIFI_SITE || 'default'
+  UNIFI_SITE: process.env.UNIFI_SITE || 'default',
+  // Or talk to the UniFi Network controller itself — wins over the dashboard when url is set.
+  // Use a local (not UI.com cloud) account; it needs permission to block clients.
+  UNIFI_CONTROLLER: {
+    url:      (process.env.UNIFI_CONTROLLER_URL || '').replace(/\/+$/, ''),
+    username: process.env.UNIFI_USERNAME || '',
+    password: process.env.UNIFI_PASSWORD || '',
+  },
+  // Base URL parents' phones use to reach this app — needed for ntfy action buttons
+  PUBLIC_URL: process.env.PUBLIC_URL || '',
+  // What to do when a kid's block rule is changed outside the app: 'revert' or 'adopt'
+  DRIFT_POLICY: process.env.DRIFT_POLICY === 'adopt' ? 'adopt' : 'revert',
+  // Send a usage summary through ntfy every Sunday evening
+  WEEKLY_REPORT: process.env.WEEKLY_REPORT === 'true',
+  // Name of the firewall above, shown once other houses' firewalls are added
+  FIREWALL_NAME: process.env.FIREWALL_NAME || 'Home',
+  // Other houses' firewalls — see "Firewall profiles"; edited in settings
+  FIREWALLS: [],
+  // Days of activity log to keep; 0 keeps everything. Anything but 0–3650 is ignored.
+  LOG_RETENTION_DAYS: isValidRetentionDays(Number(process.env.LOG_RETENTION_DAYS ?? NaN)) ? Number(process.env.LOG_RETENTION_DAYS) : 365,
+  // SSH login used to kill states with pfctl. An empty host means "the host in PFSENSE_URL".
+  // hostKeyChecking: 'strict' (pinned key only — with none pinned yet, the key offered on the
+  // first successful connection is pinned), 'accept-new' (trust on first use) or 'off'.
+  SSH: {
+    host:            process.env.SSH_HOST || '',
+    port:            parseInt(process.env.SSH_PORT, 10) || 2222,
+    user:            process.env.SSH_USER || 'root',
+    keyPath:         process.env.SSH_KEY_PATH || '/root/.ssh/id_ed25519',
+    hostKeyChecking: process.env.SSH_HOST_KEY_CHECKING || 'strict',
+    hostKey:         null,   // pinned "type base64" host key, set from settings
+  },
+  // How states are killed, tried in this order until one works (see killStatesForIp).
+  // command is run locally with {ip} (and {firewall}, the profile id) replaced,
+  // e.g. "/usr/local/bin/kill-states {ip}".
+  STATE_KILL: {
+    methods: (process.env.STATE_KILL_METHODS || 'ssh,rest,command').split(',').map(m => m.trim()),
+    command: process.env.STATE_KILL_COMMAND || '',
+  }
 };
 
 // ============================================================================
@@ -33,18 +76,45 @@ const CONFIG = {
 // ============================================================================
 const SETTINGS_FILE = path.join(__dirname, 'settings.json');
 
+// Log retention is a whole number of days from 0 (keep forever) to 3650. A
+// negative value would put the prune cutoff in the future and empty the log.
+function isValidRetentionDays(days) {
+  return Number.isInteger(days) && days >= 0 && days <= 3650;
+}
+const DRIFT_POLICIES = ['revert', 'adopt'];
+const SSH_HOST_KEY_MODES = ['strict', 'accept-new', 'off'];
+const STATE_KILL_METHODS = ['ssh', 'rest', 'command'];
+const FIREWALL_TYPES = ['pfsense', 'opnsense']; // keys of FIREWALL_ADAPTERS
+
 // MACs that should never be blocked/unblocked via UniFi (pfSense rule still applies).
 const unifiExcludedMacs = new Set();
 
+// Secret in the calendar subscription URLs (calendar apps can't sign in).
+// Generated on first use by getCalendarFeedToken().
+let calendarFeedToken = null;
+
 function loadSettings() {
   try {
     if (!fs.existsSync(SETTINGS_FILE)) return;
     const s = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
     if (s.pfsenseUrl)            CONFIG.PFSENSE_URL = s.pfsenseUrl;
     if (s.pfsenseApiKey)         CONFIG.API_KEY     = s.pfsenseApiKey;
+    if (FIREWALL_TYPES.includes(s.firewallType)) CONFIG.FIREWALL_TYPE = s.firewallType;
+    if (s.firewallApiSecret)     CONFIG.API_SECRET  = s.firewallApiSecret;
     if (s.unifiUrl !== undefined) CONFIG.UNIFI_URL  = s.unifiUrl;
     if (s.unifiSite)             CONFIG.UNIFI_SITE  = s.unifiSite;
+    if (s.unifiController)       Object.assign(CONFIG.UNIFI_CONTROLLER, s.unifiController);
     if (s.ntfyUrl !== undefined)  process.env.NTFY_URL = s.ntfyUrl;
+    if (s.publicUrl !== undefined) CONFIG.PUBLIC_URL = s.publicUrl;
+    if (s.calendarFeedToken)     calendarFeedToken  = s.calendarFeedToken;
+    if (Array.isArray(s.homeRules)) CONFIG.HOME_RULES = s.homeRules;
+    if (DRIFT_POLICIES.includes(s.driftPolicy)) CONFIG.DRIFT_POLICY = s.driftPolicy;
+    if (s.weeklyReport !== undefined) CONFIG.WEEKLY_REPORT = !!s.weeklyReport;
+    if (isValidRetentionDays(s.logRetentionDays)) CONFIG.LOG_RETENTION_DAYS = s.logRetentionDays;
+    if (s.ssh) Object.assign(CONFIG.SSH, s.ssh);
+    if (s.stateKill) Object.assign(CONFIG.STATE_KILL, s.stateKill);
+    if (s.firewallName) CONFIG.FIREWALL_NAME = s.firewallName;
+    if (Array.isArray(s.firewalls)) CONFIG.FIREWALLS = s.firewalls;
     if (Array.isArray(s.unifiExcludedMacs)) {
       unifiExcludedMacs.clear();
       s.unifiExcludedMacs.forEach(m => unifiExcludedMacs.add(m.toLowerCase()));
@@ -96,53 +166,236 @@ function saveSchedules() {
 
 let scheduleConfig = loadSchedules();
 
+// ============================================================================
+// Schedule exceptions — dated overrides, persisted to schedule-exceptions.json
+// [{ id, kids: 'all' | [tracker, ...], start: 'YYYY-MM-DD', end: 'YYYY-MM-DD',
+//    type, windows, label }]
+// type: 'weekend' | 'weekday' — use that day pattern's recurring windows
+//       'blocked'             — no windows at all (e.g. "no internet Saturday")
+//       'custom'              — use `windows: [{ start: 'HH:MM', end: 'HH:MM' }]` instead
+// start/end are inclusive, so a one-day exception has start === end.
+// ============================================================================
+const SCHEDULE_EXCEPTIONS_FILE = path.join(__dirname, 'schedule-exceptions.json');
+const EXCEPTION_TYPES = ['weekend', 'weekday', 'blocked', 'custom'];
+
+function loadScheduleExceptions() {
+  try {
+    if (fs.existsSync(SCHEDULE_EXCEPTIONS_FILE)) return JSON.parse(fs.readFileSync(SCHEDULE_EXCEPTIONS_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Failed to load schedule-exceptions.json:', e.message);
+  }
+  return [];
+}
+
+function saveScheduleExceptions() {
+  try {
+    fs.writeFileSync(SCHEDULE_EXCEPTIONS_FILE, JSON.stringify(scheduleExceptions, null, 2));
+  } catch (e) {
+    console.error('Failed to save schedule-exceptions.json:', e.message);
+  }
+}
+
+let scheduleExceptions = loadScheduleExceptions();
+
+// Returns the exception covering a kid on dateStr, or null.
+// Kid-specific exceptions win over all-kids ones; among equals the latest added wins.
+function findException(tracker, dateStr) {
+  let match = null;
+  for (const ex of scheduleExceptions) {
+    if (dateStr < ex.start || dateStr > ex.end) continue;
+    const forKid = Array.isArray(ex.kids) && ex.kids.map(String).includes(String(tracker));
+    if (!forKid && ex.kids !== 'all') continue;
+    if (!match || forKid || match.kids === 'all') match = ex;
+  }
+  return match;
+}
+
+// ============================================================================
+// Kid groups — named sets of kids with group-level actions, persisted to groups.json
+// [{ id, name, members: [tracker, ...], schedule?: { enabled, windows } }]
+// A group's schedule is copied to every member when it is set and when kids
+// join the group; members can still be fine-tuned individually afterwards.
+// ============================================================================
+const GROUPS_FILE = path.join(__dirname, 'groups.json');
+
+function loadGroups() {
+  try {
+    if (fs.existsSync(GROUPS_FILE)) return JSON.parse(fs.readFileSync(GROUPS_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Failed to load groups.json:', e.message);
+  }
+  return [];
+}
+
+function saveGroups() {
+  try {
+    fs.writeFileSync(GROUPS_FILE, JSON.stringify(kidGroups, null, 2));
+  } catch (e) {
+    console.error('Failed to save groups.json:', e.message);
+  }
+}
+
+let kidGroups = loadGroups();
+
+// HOME_RULES entries for a group's members, in roster order
+function groupRules(group) {
+  return CONFIG.HOME_RULES.filter(r => group.members.includes(r.tracker));
+}
+
 // ============================================================================
 // Schedule computation — pure local, no pfSense calls
 // Returns { enabled, active, windowEnd: ms|null, nextStart: ms|null, nextEnd: ms|null }
 // nextEnd is the end time of the next upcoming window (used for skip-next)
+// A window whose end is at or before its start runs past midnight: a Friday
+// 20:00–01:00 window belongs to Friday and closes at 01:00 Saturday.
 // ============================================================================
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 function timeToMinutes(t) {
   const [h, m] = (t || '0:0').split(':').map(Number);
   return h * 60 + (m || 0);
 }
 
-// Returns today's date string 'YYYY-MM-DD' in local timezone (TZ set via process.env.TZ)
-function getTodayStr() {
-  const d = new Date();
+// Minutes from the start of the window's own day; endMin > 1440 for overnight windows
+function windowSpan(win) {
+  const startMin = timeToMinutes(win.start);
+  let endMin = timeToMinutes(win.end);
+  if (endMin <= startMin) endMin += 1440;
+  return { startMin, endMin };
+}
+
+// ms timestamp for `minutes` past local midnight of `day` (minutes may exceed 1440)
+function msAtMinutes(day, minutes) {
+  const d = new Date(day);
+  d.setHours(0, 0, 0, 0);
+  d.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return d.getTime();
+}
+
+// Validates a list of windows. Returns an error string or null.
+// withDays: recurring windows carry days[]; exception windows apply to one date.
+function windowsError(windows, withDays) {
+  if (!Array.isArray(windows)) return 'windows must be a list';
+  for (const [i, win] of windows.entries()) {
+    const n = i + 1;
+    if (!win || !TIME_RE.test(win.start || '') || !TIME_RE.test(win.end || '')) {
+      return `Window ${n}: times must be HH:MM`;
+    }
+    if (win.start === win.end) return `Window ${n}: start and end are the same`;
+    if (withDays && (!Array.isArray(win.days) || win.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return `Window ${n}: days must be 0 (Sunday) – 6 (Saturday)`;
+    }
+  }
+
+  // Lay every occurrence out on a week of minutes (overnight windows spill
+  // into the next day, Saturday night wraps to Sunday) and look for overlaps.
+  const WEEK = 7 * 1440;
+  const spans = [];
+  windows.forEach((win, i) => {
+    const { startMin, endMin } = windowSpan(win);
+    for (const day of withDays ? new Set(win.days) : [0]) {
+      const start = day * 1440 + startMin;
+      const end   = day * 1440 + endMin;
+      if (end > WEEK) {
+        spans.push({ i, start, end: WEEK }, { i, start: 0, end: end - WEEK });
+      } else {
+        spans.push({ i, start, end });
+      }
+    }
+  });
+  for (let a = 0; a < spans.length; a++) {
+    for (let b = a + 1; b < spans.length; b++) {
+      const x = spans[a], y = spans[b];
+      if (x.i === y.i) continue;
+      if (x.start < y.end && y.start < x.end) {
+        const day = Math.floor(Math.max(x.start, y.start) / 1440);
+        return `Windows ${Math.min(x.i, y.i) + 1} and ${Math.max(x.i, y.i) + 1} overlap` +
+          (withDays ? ` on ${DAY_NAMES[day]}` : '');
+      }
+    }
+  }
+  return null;
+}
+
+// Returns a Date's 'YYYY-MM-DD' string in local timezone (TZ set via process.env.TZ)
+function toDateStr(d) {
   return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
 }
 
-// Returns the effective day-of-week for a kid, applying any day override.
+function getTodayStr() {
+  return toDateStr(new Date());
+}
+
+// 'YYYY-MM-DD' shifted by n days
+function addDays(dateStr, n) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return toDateStr(new Date(y, m - 1, d + n));
+}
+
+// True for a real YYYY-MM-DD date; addDays(d, 0) normalises, so 2026-02-31 fails
+function isDateStr(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && addDays(s, 0) === s;
+}
+
+// [start, end) of a local calendar day in ms — 23 or 25 hours across DST changes
+function dayBounds(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return [new Date(y, m - 1, d).getTime(), new Date(y, m - 1, d + 1).getTime()];
+}
+
+// Returns the effective day-of-week for a kid on a date, applying today's day
+// override or a weekend/weekday exception.
 // treatAs 'weekend' → 6 (Saturday), 'weekday' → 1 (Monday)
-function getEffectiveDayOfWeek(tracker) {
+function getEffectiveDayOfWeek(tracker, date = new Date()) {
+  const dateStr = toDateStr(date);
   const override = scheduleConfig[String(tracker)]?.dayOverride;
-  if (override && override.date === getTodayStr()) {
+  if (override && override.date === dateStr) {
     return override.treatAs === 'weekend' ? 6 : 1;
   }
-  return new Date().getDay();
+  const ex = findException(tracker, dateStr);
+  if (ex && (ex.type === 'weekend' || ex.type === 'weekday')) {
+    return ex.type === 'weekend' ? 6 : 1;
+  }
+  return date.getDay();
+}
+
+// Returns the windows ([{ start, end }]) that apply to a kid on a date.
+// Precedence: today's day override > dated exception > recurring windows.
+function windowsForDate(tracker, date) {
+  const config = scheduleConfig[String(tracker)];
+  const override = config?.dayOverride;
+  if (!override || override.date !== toDateStr(date)) {
+    const ex = findException(tracker, toDateStr(date));
+    if (ex?.type === 'blocked') return [];
+    if (ex?.type === 'custom') return ex.windows || [];
+  }
+  const dow = getEffectiveDayOfWeek(tracker, date);
+  return (config?.windows || []).filter(w => Array.isArray(w.days) && w.days.includes(dow));
 }
 
 function computeScheduleInfo(tracker) {
   const config = scheduleConfig[String(tracker)];
-  if (!config || !config.enabled || !Array.isArray(config.windows) || !config.windows.length) {
-    return { enabled: !!(config && config.enabled), active: false, windowEnd: null, nextStart: null, nextEnd: null };
+  if (!config || !config.enabled) {
+    return { enabled: false, active: false, windowEnd: null, nextStart: null, nextEnd: null };
   }
 
-  const now         = new Date();
-  const today       = getEffectiveDayOfWeek(tracker); // may be overridden for today
-  const actualToday = now.getDay();                    // real day, used for future offsets
-  const nowMin      = now.getHours() * 60 + now.getMinutes();
+  const now    = new Date();
+  const nowMin = now.getHours() * 60 + now.getMinutes();
 
-  // Check if currently inside any window (uses overridden day)
+  // Check if currently inside any of today's windows, or an overnight window
+  // that started yesterday (measured from yesterday, now is nowMin + 1440)
   let windowEndMs = null;
-  for (const win of config.windows) {
-    if (!win.days.includes(today)) continue;
-    const startMin = timeToMinutes(win.start);
-    const endMin   = timeToMinutes(win.end);
-    if (nowMin >= startMin && nowMin < endMin) {
-      const d = new Date(now);
-      d.setHours(Math.floor(endMin / 60), endMin % 60, 0, 0);
-      if (windowEndMs === null || d.getTime() > windowEndMs) windowEndMs = d.getTime();
+  for (const offset of [-1, 0]) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    const minsIntoDay = nowMin - offset * 1440;
+    for (const win of windowsForDate(tracker, day)) {
+      const { startMin, endMin } = windowSpan(win);
+      if (minsIntoDay >= startMin && minsIntoDay < endMin) {
+        const endMs = msAtMinutes(day, endMin);
+        if (windowEndMs === null || endMs > windowEndMs) windowEndMs = endMs;
+      }
     }
   }
   if (windowEndMs !== null) {
@@ -154,21 +407,15 @@ function computeScheduleInfo(tracker) {
   let nextStartMs = Infinity;
   let nextEndMs   = null;
   for (let offset = 0; offset < 7; offset++) {
-    // For today (offset=0) use the potentially-overridden day; future days use actual calendar
-    const checkDay = offset === 0 ? today : (actualToday + offset) % 7;
-    for (const win of config.windows) {
-      if (!win.days.includes(checkDay)) continue;
-      const startMin = timeToMinutes(win.start);
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    for (const win of windowsForDate(tracker, day)) {
+      const { startMin, endMin } = windowSpan(win);
       if (offset === 0 && startMin <= nowMin) continue; // already passed today
-      const d = new Date(now);
-      d.setDate(d.getDate() + offset);
-      d.setHours(Math.floor(startMin / 60), startMin % 60, 0, 0);
-      if (d.getTime() < nextStartMs) {
-        nextStartMs = d.getTime();
-        const endMin = timeToMinutes(win.end);
-        const endD = new Date(d);
-        endD.setHours(Math.floor(endMin / 60), endMin % 60, 0, 0);
-        nextEndMs = endD.getTime();
+      const startMs = msAtMinutes(day, startMin);
+      if (startMs < nextStartMs) {
+        nextStartMs = startMs;
+        nextEndMs   = msAtMinutes(day, endMin);
       }
     }
     if (nextStartMs < Infinity) break;
@@ -196,33 +443,243 @@ const activeTimers = new Map();
 const activeSkips = new Map();
 
 // ============================================================================
-// Audit Log — persisted to action-log.json, newest first, capped at 1000 entries
+// Drift holds — a kid whose rule was changed outside the app and adopted (see
+// checkRuleDrift) is left alone by enforcement until the schedule's next change.
+// tracker -> holdUntil (ms timestamp)
+// ============================================================================
+const driftHolds = new Map();
+
+// ============================================================================
+// Timer persistence — activeTimers, activeSkips and driftHolds saved to
+// timers.json so a pm2 restart or crash mid-timer doesn't leave a kid allowed forever.
+// { timers: { tracker: { endTime, kidName } }, skips: { tracker: skipUntil }, holds: { tracker: holdUntil } }
+// Re-armed at startup by restoreTimers().
+// ============================================================================
+const TIMERS_FILE = path.join(__dirname, 'timers.json');
+
+function loadTimers() {
+  try {
+    if (fs.existsSync(TIMERS_FILE)) return JSON.parse(fs.readFileSync(TIMERS_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Failed to load timers.json:', e.message);
+  }
+  return { timers: {}, skips: {}, holds: {} };
+}
+
+function saveTimers() {
+  try {
+    const data = { timers: {}, skips: {}, holds: {} };
+    for (const [tracker, t] of activeTimers) data.timers[tracker] = { endTime: t.endTime, kidName: t.kidName, ...(t.partial && { partial: true }) };
+    for (const [tracker, su] of activeSkips) data.skips[tracker] = su;
+    for (const [tracker, hu] of driftHolds) data.holds[tracker] = hu;
+    fs.writeFileSync(TIMERS_FILE, JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error('Failed to save timers.json:', e.message);
+  }
+}
+
+// ============================================================================
+// Audit Log — append-only JSON Lines in action-log.jsonl, oldest line first.
+// actionLog holds the same entries newest first for queries and timelines.
+// Entries older than CONFIG.LOG_RETENTION_DAYS are dropped once a day by
+// rewriting the file (0 keeps everything).
 // ============================================================================
-const ACTION_LOG_FILE = path.join(__dirname, 'action-log.json');
+const ACTION_LOG_FILE = path.join(__dirname, 'action-log.jsonl');
+const LEGACY_ACTION_LOG_FILE = path.join(__dirname, 'action-log.json');
+
+// "<tracker> <name> <from>" → a kid's last state-bearing entry before from, or
+// null (see buildSegments). The past doesn't change, so enforcement ticks and
+// pushes asking about today don't rescan the whole retained log; rewriting the
+// file clears it.
+const stateBeforeCache = new Map();
+
+// True when the file may not end in a newline (a crash or failed write mid-append),
+// so the next append starts a fresh line instead of joining the torn one.
+let actionLogTornTail = false;
 
 function loadActionLog() {
   try {
-    if (fs.existsSync(ACTION_LOG_FILE)) return JSON.parse(fs.readFileSync(ACTION_LOG_FILE, 'utf8'));
+    if (fs.existsSync(ACTION_LOG_FILE)) {
+      const entries = [];
+      const text = fs.readFileSync(ACTION_LOG_FILE, 'utf8');
+      actionLogTornTail = text.length > 0 && !text.endsWith('\n');
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (_) { /* torn last line from a crash mid-append */ }
+      }
+      return entries.reverse();
+    }
+    // One-time migration from the old capped action-log.json array (newest first)
+    if (fs.existsSync(LEGACY_ACTION_LOG_FILE)) {
+      const entries = JSON.parse(fs.readFileSync(LEGACY_ACTION_LOG_FILE, 'utf8'));
+      writeActionLogFile(entries);
+      fs.renameSync(LEGACY_ACTION_LOG_FILE, `${LEGACY_ACTION_LOG_FILE}.migrated`);
+      console.log(`Migrated ${entries.length} log entries to action-log.jsonl`);
+      return entries;
+    }
   } catch (e) {
-    console.error('Failed to load action-log.json:', e.message);
+    console.error('Failed to load action-log.jsonl:', e.message);
   }
   return [];
 }
 
-function saveActionLog() {
+// Replaces the whole file with `entries` (newest first) — only for migration
+// and retention; normal logging appends.
+function writeActionLogFile(entries) {
+  stateBeforeCache.clear();
+  const tmp = `${ACTION_LOG_FILE}.tmp`;
+  fs.writeFileSync(tmp, entries.slice().reverse().map(e => JSON.stringify(e) + '\n').join(''));
+  fs.renameSync(tmp, ACTION_LOG_FILE);
+  actionLogTornTail = false;
+}
+
+function appendActionLog(entry) {
   try {
-    fs.writeFileSync(ACTION_LOG_FILE, JSON.stringify(actionLog));
+    fs.appendFileSync(ACTION_LOG_FILE, (actionLogTornTail ? '\n' : '') + JSON.stringify(entry) + '\n');
+    actionLogTornTail = false;
   } catch (e) {
-    console.error('Failed to save action-log.json:', e.message);
+    actionLogTornTail = true;
+    console.error('Failed to append to action-log.jsonl:', e.message);
   }
 }
 
 const actionLog = loadActionLog();
+let logPrunedOn = null; // date of the last retention pass
+
+// Former kid name → tracker, from kid-rename entries, so entries logged before
+// trackers were (name only) follow the kid through a rename.
+const renamedFrom = new Map();
+function noteRename(e) {
+  if (e.action === 'kid-rename' && e.tracker != null && e.from) renamedFrom.set(e.from, e.tracker);
+}
+for (let i = actionLog.length - 1; i >= 0; i--) noteRename(actionLog[i]);
+
+// user: username of the logged-in account that triggered the action; null for
+// background events (schedule enforcement, timer expiry, UniFi auto-unblock).
+// Entries also carry the kid's tracker, so timelines survive a rename; extra
+// fields (e.g. external-change's state) are added as given.
+function logAction(action, kid, details, user, extra = {}) {
+  const tracker = kid ? CONFIG.HOME_RULES.find(k => k.name === kid)?.tracker ?? null : null;
+  const entry = { ts: Date.now(), action, kid: kid || null, tracker, details: details || null, user: user || null, ...extra };
+  actionLog.unshift(entry);
+  appendActionLog(entry);
+  noteRename(entry);
+  notifyStateChange();
+}
+
+// Called from enforceSchedules; does real work at most once a day.
+function pruneActionLog() {
+  const today = getTodayStr();
+  if (!CONFIG.LOG_RETENTION_DAYS || logPrunedOn === today) return;
+  logPrunedOn = today;
+  const cutoff = Date.now() - CONFIG.LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const firstExpired = actionLog.findIndex(e => e.ts < cutoff);
+  if (firstExpired === -1) return;
+  const dropped = actionLog.length - firstExpired;
+  actionLog.length = firstExpired;
+  try {
+    writeActionLogFile(actionLog);
+    console.log(`Log retention: dropped ${dropped} entries older than ${CONFIG.LOG_RETENTION_DAYS} days`);
+  } catch (e) {
+    console.error('Failed to rewrite action-log.jsonl:', e.message);
+  }
+}
+
+// Action → category for the log page's type chips and /api/log?type=
+const LOG_ACTION_TYPES = {
+  'toggle-allow':     'allow',
+  'toggle-block':     'block',
+  'allow-all':        'allow',
+  'block-all':        'block',
+  'timed-allow':      'timer',
+  'timed-allow-all':  'timer',
+  'timer-expired':    'timer',
+  'timer-cancel':     'timer',
+  'extend-timer':     'timer',
+  'schedule-allow':   'schedule',
+  'schedule-block':   'schedule',
+  'schedule-toggle':  'schedule',
+  'schedules-saved':  'schedule',
+  'skip-next':        'schedule',
+  'skip-cancel':      'schedule',
+  'day-override':     'schedule',
+  'budget-exhausted': 'block',
+  'time-request':     'timer',
+  'request-approved': 'timer',
+  'request-denied':   'timer',
+  'request-expired':  'timer',
+  'exception-add':    'schedule',
+  'exception-update': 'schedule',
+  'exception-remove': 'schedule',
+  'exception-import': 'schedule',
+  'group-allow':      'allow',
+  'group-block':      'block',
+  'group-schedule':   'schedule',
+  'device-add':       'device',
+  'device-remove':    'device',
+  'device-assign':    'device',
+  'device-reserve':   'device',
+  'device-unreserve': 'device',
+  'device-ip-change': 'device',
+  'external-change':  'system',
+  'kill-states':      'system',
+  'rule-change-failed': 'system',
+  'unifi-auto-unblock': 'system',
+  'kid-add':          'admin',
+  'kid-provision':    'admin',
+  'kid-rename':       'admin',
+  'kid-remove':       'admin',
+  'kid-firewalls':    'admin',
+  'group-add':        'admin',
+  'group-update':     'admin',
+  'group-remove':     'admin',
+  'user-add':         'admin',
+  'user-update':      'admin',
+  'user-remove':      'admin',
+  'password-change':  'admin',
+  'login':            'admin',
+  'firewall-add':     'admin',
+  'firewall-update':  'admin',
+  'firewall-remove':  'admin',
+  'settings-saved':   'admin',
+  'ssh-key-pinned':   'admin',
+  'ssh-key-unpinned': 'admin',
+  'calendar-feed-reset': 'admin',
+};
+const LOG_TYPES = ['allow', 'block', 'timer', 'schedule', 'device', 'system', 'admin'];
+
+// Parses /api/log query filters. Returns { error } or
+// { kid, type, actions, from, to } with from/to as ms bounds (either may be null).
+//   kid    — kid name; 'none' matches entries not tied to a kid
+//   type   — one of LOG_TYPES
+//   action — comma-separated action names
+//   from/to — YYYY-MM-DD local dates, inclusive
+function parseLogFilter(query) {
+  const { kid, type, action, from, to } = query || {};
+  if (type && !LOG_TYPES.includes(type)) return { error: `type must be one of: ${LOG_TYPES.join(', ')}` };
+  if ((from && !isDateStr(from)) || (to && !isDateStr(to))) return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  if (from && to && from > to) return { error: 'from must not be after to' };
+  return {
+    kid:     kid || null,
+    type:    type || null,
+    actions: action ? String(action).split(',').map(a => a.trim()).filter(Boolean) : null,
+    from:    from ? dayBounds(from)[0] : null,
+    to:      to ? dayBounds(to)[1] : null,
+  };
+}
 
-function logAction(action, kid, details) {
-  actionLog.unshift({ ts: Date.now(), action, kid: kid || null, details: details || null });
-  if (actionLog.length > 1000) actionLog.length = 1000;
-  saveActionLog();
+// Entries matching a parseLogFilter result, newest first
+function queryActionLog(filter) {
+  return actionLog.filter(e => {
+    if (filter.kid && (filter.kid === 'none' ? e.kid : e.kid !== filter.kid)) return false;
+    if (filter.type && LOG_ACTION_TYPES[e.action] !== filter.type) return false;
+    if (filter.actions && !filter.actions.includes(e.action)) return false;
+    if (filter.from !== null && e.ts < filter.from) return false;
+    if (filter.to !== null && e.ts >= filter.to) return false;
+    return true;
+  });
 }
 
 // ============================================================================
@@ -235,82 +692,431 @@ const ACTION_TO_STATE = {
   'timed-allow-all': 'allowed',
   'schedule-allow':  'allowed',
   'skip-cancel':     'allowed',
+  'group-allow':     'allowed',
   'toggle-block':    'blocked',
   'block-all':       'blocked',
   'timer-expired':   'blocked',
   'timer-cancel':    'blocked',
   'schedule-block':  'blocked',
   'skip-next':       'blocked',
+  'budget-exhausted': 'blocked',
+  'group-block':     'blocked',
 };
 
-function buildTimeline(kidName) {
-  const now = Date.now();
-  const midnight = new Date(); midnight.setHours(0, 0, 0, 0);
-  const dayStart = midnight.getTime();
+// Allowed time is credited to whatever started it: a schedule window, a timer
+// (approved requests included) or a parent's manual allow.
+const ALLOW_SOURCE = {
+  'schedule-allow':  'schedule',
+  'timed-allow':     'timer',
+  'timed-allow-all': 'timer',
+  'toggle-allow':    'manual',
+  'allow-all':       'manual',
+  'skip-cancel':     'manual',
+  'group-allow':     'manual',
+};
 
-  // Match entries for this kid or global (null kid) actions
-  const isRelevant = e => ACTION_TO_STATE[e.action] && (!e.kid || e.kid === kidName);
+// external-change entries carry the state an outside change left the kid in
+// (state: 'allowed' | 'blocked') when it flipped the block rule; an outside
+// allow counts as a manual one.
+function entryState(e) {
+  return ACTION_TO_STATE[e.action] || e.state || null;
+}
+
+function entrySource(e) {
+  return ALLOW_SOURCE[e.action] || (e.state === 'allowed' ? 'manual' : null);
+}
+
+// actionLog is newest first: the index of its first entry older than ts
+function logIndexBefore(ts) {
+  let lo = 0;
+  let hi = actionLog.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (actionLog[mid].ts < ts) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+// True when a log entry is about this kid ({ tracker, name }). Entries from
+// before trackers were logged only have the name, possibly a former one.
+function isKidEntry(e, kid) {
+  if (e.tracker != null) return e.tracker === kid.tracker;
+  const renamed = renamedFrom.get(e.kid);
+  return renamed != null ? renamed === kid.tracker : e.kid === kid.name;
+}
 
-  // Find initial state at midnight from the last qualifying entry before today
-  const lastBefore = actionLog.find(e => e.ts < dayStart && isRelevant(e));
-  let currentState = lastBefore ? ACTION_TO_STATE[lastBefore.action] : 'unknown';
+// Allow/block segments for one kid ({ tracker, name }) between from and to (ms),
+// oldest first. Each segment is { start, end, state, source }; source is null unless allowed.
+function buildSegments(kid, from, to) {
+  // Match entries for this kid or global (null kid) actions
+  const isRelevant = e => entryState(e) && (!e.kid || isKidEntry(e, kid));
+
+  // Find the state at `from` from the last qualifying entry before it
+  const fromIndex = logIndexBefore(from);
+  const cacheKey = `${kid.tracker} ${kid.name} ${from}`;
+  let lastBefore = stateBeforeCache.get(cacheKey);
+  if (lastBefore === undefined) {
+    lastBefore = null;
+    for (let i = fromIndex; i < actionLog.length && !lastBefore; i++) {
+      if (isRelevant(actionLog[i])) lastBefore = actionLog[i];
+    }
+    if (from <= Date.now()) {
+      if (stateBeforeCache.size > 1000) stateBeforeCache.clear();
+      stateBeforeCache.set(cacheKey, lastBefore);
+    }
+  }
+  let currentState  = lastBefore ? entryState(lastBefore) : 'unknown';
+  let currentSource = lastBefore ? entrySource(lastBefore) : null;
 
-  // Today's entries oldest-first
-  const todayEntries = actionLog
-    .filter(e => e.ts >= dayStart && isRelevant(e))
+  // Entries in range oldest-first
+  const entries = actionLog.slice(logIndexBefore(to), fromIndex)
+    .filter(isRelevant)
     .sort((a, b) => a.ts - b.ts);
 
   const segments = [];
-  let segStart = dayStart;
-  for (const entry of todayEntries) {
-    const newState = ACTION_TO_STATE[entry.action];
+  let segStart = from;
+  for (const entry of entries) {
+    const newState = entryState(entry);
     if (newState === currentState) continue; // no state change
-    if (entry.ts > segStart) segments.push({ start: segStart, end: entry.ts, state: currentState });
-    currentState = newState;
+    if (entry.ts > segStart) segments.push({ start: segStart, end: entry.ts, state: currentState, source: currentSource });
+    currentState  = newState;
+    currentSource = entrySource(entry);
     segStart = entry.ts;
   }
-  if (segStart < now) segments.push({ start: segStart, end: now, state: currentState });
+  if (segStart < to) segments.push({ start: segStart, end: to, state: currentState, source: currentSource });
   return segments;
 }
 
+function buildTimeline(kid) {
+  const midnight = new Date(); midnight.setHours(0, 0, 0, 0);
+  return buildSegments(kid, midnight.getTime(), Date.now());
+}
+
+// ============================================================================
+// Usage reports — allowed minutes per kid per day, split by source. The action
+// log only keeps LOG_RETENTION_DAYS of history, so each finished day is rolled up into
+// usage-history.json and reports read from there, computing any day not yet
+// rolled up (today included) from the log.
+//   { rolledThrough: 'YYYY-MM-DD', weeklySentFor: 'YYYY-MM-DD',
+//     days: { 'YYYY-MM-DD': { [tracker]: { schedule, timer, manual } } } }
+// ============================================================================
+const USAGE_HISTORY_FILE = path.join(__dirname, 'usage-history.json');
+const USAGE_SOURCES = ['schedule', 'timer', 'manual'];
+const MAX_REPORT_DAYS = 366;
+const WEEKLY_REPORT_HOUR = 19; // Sunday, local time
+const USAGE_JOBS_INTERVAL_MS = 60 * 1000;
+
+function loadUsageHistory() {
+  try {
+    if (fs.existsSync(USAGE_HISTORY_FILE)) return JSON.parse(fs.readFileSync(USAGE_HISTORY_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Failed to load usage-history.json:', e.message);
+  }
+  return { rolledThrough: null, weeklySentFor: null, days: {} };
+}
+
+function saveUsageHistory() {
+  try {
+    fs.writeFileSync(USAGE_HISTORY_FILE, JSON.stringify(usageHistory, null, 2));
+  } catch (e) {
+    console.error('Failed to save usage-history.json:', e.message);
+  }
+}
+
+const usageHistory = loadUsageHistory();
+
+function computeDayUsage(kid, dateStr) {
+  const [start, end] = dayBounds(dateStr);
+  const usage = { schedule: 0, timer: 0, manual: 0 };
+  for (const seg of buildSegments(kid, start, Math.min(end, Date.now()))) {
+    if (seg.state === 'allowed') usage[seg.source || 'manual'] += seg.end - seg.start;
+  }
+  for (const src of USAGE_SOURCES) usage[src] = Math.round(usage[src] / 60000);
+  return usage;
+}
+
+// Rolls every finished day since the last roll-up into usageHistory. On the
+// first run it starts from the oldest day still in the action log.
+function rollUpUsage() {
+  const yesterday = addDays(getTodayStr(), -1);
+  if (usageHistory.rolledThrough && usageHistory.rolledThrough >= yesterday) return;
+  const oldest = actionLog[actionLog.length - 1];
+  let date = usageHistory.rolledThrough
+    ? addDays(usageHistory.rolledThrough, 1)
+    : oldest ? toDateStr(new Date(oldest.ts)) : getTodayStr();
+  for (; date <= yesterday; date = addDays(date, 1)) {
+    const day = usageHistory.days[date] = {};
+    for (const kid of CONFIG.HOME_RULES) day[kid.tracker] = computeDayUsage(kid, date);
+  }
+  usageHistory.rolledThrough = yesterday;
+  saveUsageHistory();
+}
+
+// Per-kid daily usage for from..to inclusive (YYYY-MM-DD).
+function buildUsageReport(from, to) {
+  const kids = CONFIG.HOME_RULES.map(kid => {
+    const days = [];
+    const totals = { schedule: 0, timer: 0, manual: 0, total: 0 };
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const rolled = date <= (usageHistory.rolledThrough || '') ? usageHistory.days[date]?.[kid.tracker] : null;
+      const usage = rolled || computeDayUsage(kid, date);
+      const total = USAGE_SOURCES.reduce((sum, src) => sum + (usage[src] || 0), 0);
+      days.push({ date, schedule: usage.schedule || 0, timer: usage.timer || 0, manual: usage.manual || 0, total });
+      for (const src of USAGE_SOURCES) totals[src] += usage[src] || 0;
+      totals.total += total;
+    }
+    return { tracker: kid.tracker, name: kid.name, days, totals };
+  });
+  return { from, to, kids };
+}
+
+function fmtMinutes(m) {
+  return m >= 60 ? `${Math.floor(m / 60)}h${m % 60 ? ` ${m % 60}m` : ''}` : `${m}m`;
+}
+
+// Sends the last seven days' usage once on Sunday evening when enabled in settings.
+function maybeSendWeeklyReport() {
+  if (!CONFIG.WEEKLY_REPORT) return;
+  const now = new Date();
+  const today = getTodayStr();
+  if (now.getDay() !== 0 || now.getHours() < WEEKLY_REPORT_HOUR || usageHistory.weeklySentFor === today) return;
+  usageHistory.weeklySentFor = today;
+  saveUsageHistory();
+
+  const report = buildUsageReport(addDays(today, -6), today);
+  const lines = report.kids.map(k =>
+    `${k.name}: ${fmtMinutes(k.totals.total)} (schedule ${fmtMinutes(k.totals.schedule)}, ` +
+    `timer ${fmtMinutes(k.totals.timer)}, manual ${fmtMinutes(k.totals.manual)})`);
+  sendNotif('Weekly screen time', lines.join('\n') || 'No kids configured');
+}
+
+// Runs every minute on its own timer — neither job needs the firewall, so
+// neither waits on (or is held up by) schedule enforcement.
+function runUsageJobs() {
+  try {
+    rollUpUsage();
+    maybeSendWeeklyReport();
+  } catch (e) {
+    console.error('Usage roll-up failed:', e.message);
+  }
+}
+
+// ============================================================================
+// Daily screen-time budget — per-kid allowance stored in scheduleConfig:
+//   budget: { enabled, weekdayMinutes, weekendMinutes }
+// Usage is the total 'allowed' time in today's timeline (schedule, timers and
+// manual allows alike), so it resets at local midnight with buildTimeline.
+// budgetOverride: { date } is set when a parent manually allows a kid whose
+// budget is spent; it suspends budget enforcement for the rest of that day.
+// ============================================================================
+function computeBudgetInfo(tracker, kidName) {
+  const config = scheduleConfig[String(tracker)];
+  const budget = config?.budget;
+  if (!budget || !budget.enabled) return { enabled: false };
+
+  const dow = getEffectiveDayOfWeek(tracker); // honours today's weekend/weekday override
+  const limitMinutes = Number(dow === 0 || dow === 6 ? budget.weekendMinutes : budget.weekdayMinutes) || 0;
+  const usedMs = buildTimeline({ tracker, name: kidName })
+    .filter(seg => seg.state === 'allowed')
+    .reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+  const usedMinutes = Math.floor(usedMs / 60000);
+  const remainingMinutes = Math.max(0, limitMinutes - usedMinutes);
+
+  return {
+    enabled: true,
+    limitMinutes,
+    usedMinutes,
+    remainingMinutes,
+    exhausted:  remainingMinutes <= 0,
+    overridden: config.budgetOverride?.date === getTodayStr()
+  };
+}
+
+// True when the kid's budget is used up and no parent override is in effect
+function isBudgetSpent(tracker, kidName) {
+  const b = computeBudgetInfo(tracker, kidName);
+  return b.enabled && b.exhausted && !b.overridden;
+}
+
+// A parent manually allowing a kid with a spent budget overrides it until midnight.
+// Returns true if an override was set.
+function overrideBudgetIfSpent(tracker, kidName) {
+  if (!isBudgetSpent(tracker, kidName)) return false;
+  scheduleConfig[String(tracker)].budgetOverride = { date: getTodayStr() };
+  saveSchedules();
+  return true;
+}
+
+function clearBudgetOverride(tracker) {
+  const config = scheduleConfig[String(tracker)];
+  if (!config?.budgetOverride) return;
+  delete config.budgetOverride;
+  saveSchedules();
+}
+
+// ============================================================================
+// Dependency health — every call to pfSense, UniFi, SSH and ntfy records its
+// outcome here; GET /api/diagnostics adds live probes on top.
+// name -> { lastSuccess, lastError, lastErrorAt, lastLatencyMs }
+// ============================================================================
+const dependencyHealth = { pfsense: {}, unifi: {}, ssh: {}, ntfy: {} };
+
+// Other firewall profiles get their own 'pfsense:<id>' and 'ssh:<id>' entries
+function recordHealth(name, startedAt, error = null) {
+  const h = dependencyHealth[name] || (dependencyHealth[name] = {});
+  h.lastLatencyMs = Date.now() - startedAt;
+  if (error) {
+    h.lastError = error;
+    h.lastErrorAt = Date.now();
+  } else {
+    h.lastSuccess = Date.now();
+  }
+}
+
+// True when the most recent call to the dependency succeeded (or none failed yet)
+function isHealthy(name) {
+  const h = dependencyHealth[name] || {};
+  return !h.lastErrorAt || (h.lastSuccess || 0) > h.lastErrorAt;
+}
+
 // ============================================================================
 // ntfy.sh Push Notifications — set NTFY_URL in .env to enable
 // e.g. NTFY_URL=https://ntfy.sh/my-topic
+// actions: optional ntfy action-button definitions, e.g.
+//   'http, Approve, https://host/api/..., method=POST, clear=true'
 // ============================================================================
-async function sendNotif(title, body) {
+// Resolves true once ntfy accepted the message (callers may ignore it).
+async function sendNotif(title, body, actions = []) {
   const url = process.env.NTFY_URL;
-  if (!url) return;
+  if (!url) return false;
+  const startedAt = Date.now();
   try {
-    await fetch(url, {
+    const headers = { 'Title': title, 'Content-Type': 'text/plain' };
+    if (actions.length) headers['Actions'] = actions.join('; ');
+    const res = await fetch(url, {
       method: 'POST',
-      headers: { 'Title': title, 'Content-Type': 'text/plain' },
+      headers,
       body
     });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    recordHealth('ntfy', startedAt);
+    return true;
   } catch (err) {
     console.error('ntfy notification failed:', err.message);
+    recordHealth('ntfy', startedAt, err.message);
+    return false;
   }
 }
 
 // ============================================================================
 // Kill pfSense state table entries when a block rule is enabled.
-// Uses SSH + pfctl -k <ip> -- the pfSense REST API v2 DELETE /firewall/states
-// endpoint does not support filtering by IP (tested and confirmed).
-// Key: /root/.ssh/id_ed25519 -- pre-authorized on pfSense at port 2222.
+// Preferred: SSH + pfctl -k <ip> -- the pfSense REST API v2 DELETE /firewall/states
+// endpoint does not support filtering by IP (tested and confirmed), so the REST
+// fallback further down lists states and deletes the kid's one at a time.
+// Target, user and key come from each firewall profile's ssh settings
+// (CONFIG.SSH for the default one). In strict mode only the host keys pinned
+// in settings are trusted; they are written to ssh_known_hosts next to this file.
 // ============================================================================
+const SSH_KNOWN_HOSTS_FILE = path.join(__dirname, 'ssh_known_hosts');
+
+function pfctlKill(ip, fw = defaultFirewall()) {
+  return sshCommand('pfctl -k ' + ip, fw);
+}
+
+function sshHost(fw = defaultFirewall()) {
+  if (fw.ssh.host) return fw.ssh.host;
+  try { return new URL(fw.url).hostname; } catch (_) { return ''; }
+}
+
+// known_hosts spells non-standard ports as [host]:port
+function knownHostsPattern(fw = defaultFirewall()) {
+  return fw.ssh.port === 22 ? sshHost(fw) : `[${sshHost(fw)}]:${fw.ssh.port}`;
+}
 
-function pfctlKill(ip) {
+// OpenSSH-style SHA256 fingerprint of a "type base64" host key
+function sshKeyFingerprint(hostKey) {
+  const blob = Buffer.from(String(hostKey).split(' ')[1] || '', 'base64');
+  return 'SHA256:' + crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, '');
+}
+
+// Rewrites ssh_known_hosts with every firewall's pinned key for its current host and port
+function writeKnownHosts() {
+  const lines = allFirewalls().filter(fw => fw.ssh.hostKey).map(fw => `${knownHostsPattern(fw)} ${fw.ssh.hostKey}\n`);
+  try {
+    if (lines.length) fs.writeFileSync(SSH_KNOWN_HOSTS_FILE, lines.join(''));
+    else fs.rmSync(SSH_KNOWN_HOSTS_FILE, { force: true });
+  } catch (e) {
+    console.error('Failed to write ssh_known_hosts:', e.message);
+  }
+}
+
+// Strict checking with nothing pinned yet trusts the first key (see sshCommand),
+// so diagnostics say so until a connection has pinned one. Returns the note,
+// or null when SSH isn't used or a key is pinned.
+function sshHostKeyWarning(fw = defaultFirewall()) {
+  if (!CONFIG.STATE_KILL.methods.includes('ssh')) return null;
+  if (['accept-new', 'off'].includes(fw.ssh.hostKeyChecking) || fw.ssh.hostKey) return null;
+  return 'No host key pinned yet — the key offered on the first successful connection will be pinned';
+}
+
+// Pins the key ssh recorded for the firewall on its first strict-mode connection
+function pinFirstSshKey(fw) {
+  if (fw.ssh.hostKey) return;
+  let line;
+  try {
+    line = fs.readFileSync(SSH_KNOWN_HOSTS_FILE, 'utf8').split('\n').find(l => l.split(' ')[0] === knownHostsPattern(fw));
+  } catch (e) {
+    return console.error('Failed to read ssh_known_hosts:', e.message);
+  }
+  if (!line) return;
+  const hostKey = line.trim().split(/\s+/).slice(1, 3).join(' ');
+  fw.ssh.hostKey = hostKey;
+  saveSshSettings(fw);
+  writeKnownHosts();
+  logAction('ssh-key-pinned', null, `${hostKey.split(' ')[0]} ${sshKeyFingerprint(hostKey)} for ${knownHostsPattern(fw)} (first connection)`);
+}
+
+// Runs one command on a firewall over SSH. Resolves { ok, out }.
+// Strict mode with no key pinned yet connects as accept-new and pins what it saw.
+function sshCommand(command, fw = defaultFirewall()) {
+  const startedAt = Date.now();
+  let checking = { strict: 'yes', 'accept-new': 'accept-new', off: 'no' }[fw.ssh.hostKeyChecking] || 'yes';
+  const pinning = checking === 'yes' && !fw.ssh.hostKey;
+  if (pinning) checking = 'accept-new';
   return new Promise((resolve) => {
     execFile('ssh', [
-      '-i', '/root/.ssh/id_ed25519',
+      '-i', fw.ssh.keyPath,
       '-o', 'IdentitiesOnly=yes',
-      '-o', 'StrictHostKeyChecking=no',
+      '-o', `StrictHostKeyChecking=${checking}`,
+      '-o', `UserKnownHostsFile=${checking === 'no' ? '/dev/null' : SSH_KNOWN_HOSTS_FILE}`,
+      // Plain host names and only the key used, so pinFirstSshKey can read it back
+      '-o', 'HashKnownHosts=no',
+      '-o', 'UpdateHostKeys=no',
       '-o', 'ConnectTimeout=5',
       '-o', 'BatchMode=yes',
-      '-p', '2222',
-      'root@10.40.0.1',
-      'pfctl -k ' + ip
-    ], (err, stdout, stderr) => {
-      resolve({ ok: !err, out: (stdout + stderr).trim() });
+      '-p', String(fw.ssh.port),
+      `${fw.ssh.user}@${sshHost(fw)}`,
+      command
+    ], { timeout: 15 * 1000 }, (err, stdout, stderr) => {
+      const out = (stdout + stderr).trim();
+      recordHealth(healthKey('ssh', fw), startedAt, err ? (out || err.message) : null);
+      if (!err && pinning) pinFirstSshKey(fw);
+      resolve({ ok: !err, out });
+    });
+  });
+}
+
+// Fetches the host keys a firewall offers. Resolves [{ hostKey, type, fingerprint }].
+function scanSshHostKeys(fw = defaultFirewall()) {
+  return new Promise((resolve, reject) => {
+    execFile('ssh-keyscan', ['-T', '5', '-p', String(fw.ssh.port), sshHost(fw)], { timeout: 15 * 1000 }, (err, stdout, stderr) => {
+      const keys = stdout.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(parts => parts.length >= 3 && !parts[0].startsWith('#'))
+        .map(([, type, b64]) => ({ hostKey: `${type} ${b64}`, type, fingerprint: sshKeyFingerprint(`${type} ${b64}`) }));
+      if (keys.length) return resolve(keys);
+      reject(new Error((stderr || '').trim() || err?.message || 'No host keys returned'));
     });
   });
 }
@@ -322,13 +1128,13 @@ function isIpOrCidr(s) {
 
 // Resolve a source value to a list of IP strings.
 // If it's already an IP/CIDR, returns it directly.
-// If it looks like an alias name, fetches the alias from pfSense and returns
-// its member addresses.
-async function resolveSourceIPs(source) {
+// If it looks like an alias name, fetches the alias from that firewall and
+// returns its member addresses.
+async function resolveSourceIPs(source, fw = defaultFirewall()) {
   if (!source) return [];
   if (isIpOrCidr(source)) return [source];
 
-  const res = await pfsenseApiCall('/api/v2/firewall/aliases');
+  const res = await getFirewallAliases(fw);
   if (res.error || !res.data) {
     console.error(`resolveSourceIPs: could not fetch aliases:`, res.message || 'no data');
     return [];
@@ -348,37 +1154,160 @@ async function resolveSourceIPs(source) {
   return String(raw).split(/\s+/).filter(Boolean);
 }
 
-async function killStatesForSource(sourceAddr, kidName) {
-  if (!sourceAddr) return;
-  const ips = await resolveSourceIPs(sourceAddr);
+// Runs the configured local command for one IP ({firewall} is the profile id).
+// Arguments are split on whitespace and passed without a shell.
+function commandKillStates(ip, fw = defaultFirewall()) {
+  const [cmd, ...args] = CONFIG.STATE_KILL.command.trim().split(/\s+/)
+    .map(a => a.replace(/\{ip\}/g, ip).replace(/\{firewall\}/g, fw.id));
+  return new Promise((resolve) => {
+    execFile(cmd, args, { timeout: 15 * 1000 }, (err, stdout, stderr) => {
+      resolve({ ok: !err, out: (stdout + stderr).trim() || (err ? err.message.trim() : '') });
+    });
+  });
+}
+
+function ipv4ToInt(addr) {
+  return addr.split('.').reduce((n, octet) => n * 256 + (parseInt(octet, 10) & 255), 0);
+}
+
+function ipv4InCidr(addr, cidr) {
+  const [base, bits = '32'] = cidr.split('/');
+  if (!net.isIPv4(addr) || !net.isIPv4(base) || !/^\d+$/.test(bits) || Number(bits) > 32) return false;
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(ipv4ToInt(addr) / size) === Math.floor(ipv4ToInt(base) / size);
+}
+
+// IPv6 in its shortest lower-case spelling, so differently written addresses compare equal
+function canonicalIpv6(addr) {
+  try { return new URL(`http://[${addr}]`).hostname.slice(1, -1); } catch (_) { return addr; }
+}
+
+// pf prints state endpoints as 10.0.0.5:51234 (IPv4) or fe80::1[51234] (IPv6).
+// ip must have passed stateMatchError.
+function stateMatchesIp(state, ip) {
+  const src = String(state.source ?? state.src ?? '');
+  const host = src.includes('.') ? src.split(':')[0] : src.replace(/\[\d+\]$/, '');
+  if (net.isIPv6(ip)) return net.isIPv6(host) && canonicalIpv6(host) === canonicalIpv6(ip);
+  return ipv4InCidr(host, ip);
+}
+
+// Narrowest prefixes whose states are killed; a wider alias entry (a typo'd /8,
+// or /0) would take most of the firewall's connections with it
+const MIN_STATE_KILL_PREFIX = { 4: 16, 6: 48 };
+
+// Why states for an alias entry can't be killed safely, or null. rangesOk is
+// false for killers that match states themselves (stateMatchesIp), which can
+// only handle IPv4 ranges and single IPv6 addresses.
+function stateMatchError(ip, rangesOk = true) {
+  const [addr, bits] = String(ip).split('/');
+  const family = net.isIP(addr);
+  if (!family || (bits !== undefined && (!/^\d+$/.test(bits) || Number(bits) > (family === 4 ? 32 : 128)))) {
+    return `${ip} is not an IP address or range`;
+  }
+  if (bits === undefined) return null;
+  if (Number(bits) < MIN_STATE_KILL_PREFIX[family]) {
+    return `${ip} is wider than /${MIN_STATE_KILL_PREFIX[family]}, so its states were not killed`;
+  }
+  return family === 6 && !rangesOk ? `IPv6 range ${ip} can't be matched to states` : null;
+}
+
+// REST: the firewall's own API (see the killStates adapter method)
+function restKillStates(ip, fw = defaultFirewall()) {
+  return firewallAdapter(fw).killStates(fw, ip);
+}
+
+const STATE_KILLERS = { ssh: pfctlKill, rest: restKillStates, command: commandKillStates };
+const lastWorkingStateKiller = new Map(); // firewall id → method
+
+function stateKillerAvailable(method, fw) {
+  if (method === 'rest') return !!fw.apiKey;
+  if (method === 'command') return !!CONFIG.STATE_KILL.command.trim();
+  return method === 'ssh';
+}
+
+// Tries each enabled method for one IP, starting with whichever worked last
+// time so a dead SSH link doesn't cost a timeout on every kill.
+// Resolves { method, out } or { method: null, error }.
+async function killStatesForIp(ip, fw = defaultFirewall()) {
+  const invalid = stateMatchError(ip);
+  if (invalid) return { method: null, error: invalid };
+  const enabled = CONFIG.STATE_KILL.methods.filter(m => STATE_KILLERS[m] && stateKillerAvailable(m, fw));
+  const last = lastWorkingStateKiller.get(fw.id);
+  const order = enabled.includes(last) ? [last, ...enabled.filter(m => m !== last)] : enabled;
+  const errors = [];
+  for (const method of order) {
+    const { ok, out } = await STATE_KILLERS[method](ip, fw);
+    if (ok) {
+      lastWorkingStateKiller.set(fw.id, method);
+      return { method, out };
+    }
+    errors.push(`${method}: ${out}`);
+  }
+  return { method: null, error: errors.join('; ') || 'No state-kill method available' };
+}
+
+// Kills states on one firewall for every IP behind a rule source.
+// Resolves { methods: [used], ips: [killed], failed: [{ ip, error }] }.
+async function killStatesForSource(sourceAddr, kidName, fw = defaultFirewall()) {
+  const result = { methods: [], ips: [], failed: [] };
+  if (!sourceAddr) return result;
+  const ips = await resolveSourceIPs(sourceAddr, fw);
   if (!ips.length) {
     console.error(`killStates: no IPs resolved for ${kidName} (source="${sourceAddr}")`);
-    return;
+    return result;
   }
   for (const ip of ips) {
-    const { ok, out } = await pfctlKill(ip);
-    if (ok) {
-      console.log(`killStates: ${kidName} ip=${ip} — ${out}`);
+    const { method, out, error } = await killStatesForIp(ip, fw);
+    if (method) {
+      console.log(`killStates: ${kidName} ip=${ip} on ${fw.name} via ${method} — ${out}`);
+      result.ips.push(ip);
+      if (!result.methods.includes(method)) result.methods.push(method);
     } else {
-      console.error(`killStates: failed for ${kidName} ip=${ip} — ${out}`);
+      console.error(`killStates: failed for ${kidName} ip=${ip} on ${fw.name} — ${error}`);
+      result.failed.push({ ip, error });
     }
   }
+  return result;
+}
+
+// Kills states after an automatic block. The block has already gone through,
+// so a failure is logged (as the manual route does) rather than returned.
+async function killStatesAfterBlock(kid, rule, fw) {
+  const { failed } = await killStatesForSource(ruleSourceAddr(rule), kid.name, fw);
+  if (!failed.length) return;
+  logAction('kill-states', kid.name,
+    `States not killed after block on ${fw.name} — ${failed.map(f => `${f.ip}: ${f.error}`).join('; ')}`);
 }
 
 // ============================================================================
 // UniFi WiFi Client Blocking — disconnects kid's devices when blocked.
-// Requires unifi-maintenance-dashboard running at UNIFI_DASHBOARD_URL.
+// Talks to the UniFi Network controller directly (UNIFI_CONTROLLER_URL plus a
+// local account), or else to unifi-maintenance-dashboard at UNIFI_DASHBOARD_URL.
 //
 // Two persistent stores (both survive pm2 restarts):
 //   known-macs.json  — tracker → [mac, ...] of every device ever seen per kid.
 //                      Grows over time; used to block offline devices too.
 //   blocked-macs.json — tracker → [mac, ...] currently blocked, for unblock.
+//                      Kicks on another firewall profile's site are keyed
+//                      tracker@profile (see kickKey).
 // ============================================================================
 const KNOWN_MACS_FILE   = path.join(__dirname, 'known-macs.json');
 const BLOCKED_MACS_FILE = path.join(__dirname, 'blocked-macs.json');
 const kidKnownMacs   = new Map(); // tracker → Set of known MACs
-const kidBlockedMacs = new Map(); // tracker → [mac, ...] currently blocked
-const kidKickTimers  = new Map(); // tracker → { timeoutId, macs } — pending 5-min UniFi unblock
+const kidBlockedMacs = new Map(); // kick key → [mac, ...] currently blocked
+const kidKickTimers  = new Map(); // kick key → { timeoutId, macs } — pending 5-min UniFi unblock
+
+// Default profile kicks keep the plain tracker key; other sites get tracker@id
+function kickKey(tracker, fw) {
+  return fw.id === DEFAULT_FIREWALL ? tracker : `${tracker}@${fw.id}`;
+}
+
+// Drops every kick key belonging to a kid (all sites)
+function forgetBlockedMacs(tracker) {
+  for (const key of [...kidBlockedMacs.keys()]) {
+    if (key === tracker || String(key).startsWith(`${tracker}@`)) kidBlockedMacs.delete(key);
+  }
+}
 
 function loadMacFiles() {
   for (const [file, map, asSet] of [
@@ -390,7 +1319,7 @@ function loadMacFiles() {
       const data = JSON.parse(fs.readFileSync(file, 'utf8'));
       for (const [tracker, macs] of Object.entries(data)) {
         if (Array.isArray(macs) && macs.length)
-          map.set(Number(tracker), asSet ? new Set(macs) : macs);
+          map.set(/^\d+$/.test(tracker) ? Number(tracker) : tracker, asSet ? new Set(macs) : macs);
       }
     } catch (e) { console.error(`Failed to load ${path.basename(file)}:`, e.message); }
   }
@@ -430,39 +1359,176 @@ loadMacFiles();
 
 async function unifiApiCall(method, endpoint, body = null) {
   if (!CONFIG.UNIFI_URL) return { error: true, message: 'UNIFI_DASHBOARD_URL not configured' };
+  const startedAt = Date.now();
   try {
     const options = { method, headers: { 'Content-Type': 'application/json' } };
     if (body) options.body = JSON.stringify(body);
     const res = await fetch(`${CONFIG.UNIFI_URL}${endpoint}`, options);
     const text = await res.text();
+    recordHealth('unifi', startedAt, res.status >= 500 ? `HTTP ${res.status}` : null);
     try { return JSON.parse(text); } catch (e) { return { raw: text }; }
   } catch (err) {
     console.error(`UniFi API call failed [${endpoint}]:`, err.message);
+    recordHealth('unifi', startedAt, err.message);
     return { error: true, message: err.message };
   }
 }
 
-// Kick a kid's devices off UniFi for 5 minutes, then auto-unblock so devices
-// rejoin WiFi (but pfSense still blocks internet until parent manually allows).
-// Includes ALL known MACs — even excluded ones like wired PCs — so every device
-// disconnects cleanly and reconnects fresh when internet is restored.
-async function kickKidInUnifi(tracker, sourceAddr, kidName) {
-  if (!CONFIG.UNIFI_URL) return;
+// ---------------------------------------------------------------------------
+// Direct UniFi Network controller client — used instead of the dashboard when
+// CONFIG.UNIFI_CONTROLLER.url is set. Logs in with a local account and keeps
+// the session cookie and CSRF token. UniFi OS consoles (UDM, Cloud Key Gen2+)
+// log in at /api/auth/login and serve the Network API under /proxy/network;
+// a standalone controller logs in at /api/login. Whichever answers first is
+// remembered for the session.
+// ---------------------------------------------------------------------------
+let unifiSession = null;      // { cookie, csrf, prefix } while logged in
+let unifiLoginPromise = null; // in-flight login shared by concurrent calls
+let unifiSessionGeneration = 0; // bumped on forget; a login from an older one is discarded
+
+function forgetUnifiSession() {
+  unifiSession = null;
+  unifiLoginPromise = null;
+  unifiSessionGeneration++;
+}
 
-  // Cancel any existing kick timer for this kid
-  const existing = kidKickTimers.get(tracker);
-  if (existing) {
-    clearTimeout(existing.timeoutId);
-    kidKickTimers.delete(tracker);
+// "name=value" pairs from a response's Set-Cookie headers, merged into cookie
+function mergeCookies(cookie, response) {
+  const jar = new Map(cookie ? cookie.split('; ').map(c => [c.split('=')[0], c]) : []);
+  for (const line of response.headers.raw()['set-cookie'] || []) {
+    const pair = line.split(';')[0];
+    jar.set(pair.split('=')[0], pair);
   }
+  return [...jar.values()].join('; ');
+}
+
+async function unifiControllerLogin() {
+  const { url, username, password } = CONFIG.UNIFI_CONTROLLER;
+  const body = JSON.stringify({ username, password, remember: true });
+  let lastError = 'No response';
+  for (const [loginPath, prefix] of [['/api/auth/login', '/proxy/network'], ['/api/login', '']]) {
+    const res = await fetch(`${url}${loginPath}`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body, agent: httpsAgent, redirect: 'manual',
+    });
+    if (res.status === 404) { lastError = `HTTP 404 from ${loginPath}`; continue; }
+    if (!res.ok) {
+      const text = await res.text();
+      let message = `HTTP ${res.status}`;
+      try { message = JSON.parse(text).meta?.msg || JSON.parse(text).message || message; } catch (_) {}
+      throw new Error(`UniFi login failed: ${message}`);
+    }
+    const cookie = mergeCookies('', res);
+    // UniFi OS sends the token as a header; classic controllers as the csrf_token cookie
+    const csrf = res.headers.get('x-csrf-token') || (cookie.match(/(?:^|; )csrf_token=([^;]+)/) || [])[1] || null;
+    return { cookie, csrf, prefix };
+  }
+  throw new Error(`UniFi login failed: ${lastError}`);
+}
+
+function unifiControllerSession() {
+  if (unifiSession) return Promise.resolve(unifiSession);
+  if (!unifiLoginPromise) {
+    const generation = unifiSessionGeneration;
+    // Forgotten mid-login (e.g. new credentials): discard the outcome and log in again
+    const login = unifiControllerLogin()
+      .then(session => {
+        if (generation !== unifiSessionGeneration) return unifiControllerSession();
+        unifiSession = session;
+        return session;
+      }, err => {
+        if (generation !== unifiSessionGeneration) return unifiControllerSession();
+        throw err;
+      })
+      .finally(() => { if (unifiLoginPromise === login) unifiLoginPromise = null; });
+    unifiLoginPromise = login;
+  }
+  return unifiLoginPromise;
+}
+
+// Calls /api/s/<site><endpoint> on the controller. Resolves the response's data
+// array, or { error, message }. An expired session is renewed once.
+async function unifiControllerCall(method, site, endpoint, body = null, retried = false) {
+  const startedAt = Date.now();
+  try {
+    const session = await unifiControllerSession();
+    const headers = { 'Content-Type': 'application/json', Cookie: session.cookie };
+    if (session.csrf) headers['X-CSRF-Token'] = session.csrf;
+    const options = { method, headers, agent: httpsAgent, redirect: 'manual' };
+    if (body) options.body = JSON.stringify(body);
+    const url = `${CONFIG.UNIFI_CONTROLLER.url}${session.prefix}/api/s/${encodeURIComponent(site)}${endpoint}`;
+    const res = await fetch(url, options);
+    if ((res.status === 401 || res.status === 403) && !retried) {
+      forgetUnifiSession();
+      return unifiControllerCall(method, site, endpoint, body, true);
+    }
+    session.cookie = mergeCookies(session.cookie, res);
+    session.csrf = res.headers.get('x-updated-csrf-token') || session.csrf;
+    const text = await res.text();
+    recordHealth('unifi', startedAt, res.status >= 500 || res.status === 401 || res.status === 403 ? `HTTP ${res.status}` : null);
+    let json;
+    try { json = JSON.parse(text); } catch (_) { return { error: true, message: `HTTP ${res.status}: unexpected response` }; }
+    if (!res.ok || json.meta?.rc !== 'ok') return { error: true, message: json.meta?.msg || `HTTP ${res.status}` };
+    return json.data || [];
+  } catch (err) {
+    console.error(`UniFi controller call failed [${endpoint}]:`, err.message);
+    recordHealth('unifi', startedAt, err.message);
+    return { error: true, message: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// UniFi operations — the controller when configured, else the dashboard
+// ---------------------------------------------------------------------------
+function unifiConfigured() {
+  return !!(CONFIG.UNIFI_CONTROLLER.url || CONFIG.UNIFI_URL);
+}
+
+// Online clients on a site: [{ mac, ip, hostname, vendor, is_wired }] or { error, message }
+async function unifiListClients(site) {
+  if (CONFIG.UNIFI_CONTROLLER.url) {
+    const data = await unifiControllerCall('GET', site, '/stat/sta');
+    if (data.error) return data;
+    return data.map(c => ({ mac: c.mac, ip: c.ip || null, hostname: c.hostname || c.name || null, vendor: c.oui || null, is_wired: !!c.is_wired }));
+  }
+  const res = await unifiApiCall('GET', `/api/clients?site=${site}`);
+  if (res.error) return res;
+  if (!Array.isArray(res)) return { error: true, message: res.detail || res.message || 'Unexpected response from UniFi dashboard' };
+  return res;
+}
+
+// Blocks or unblocks one MAC on a site. Failures carry error and message (or detail).
+async function unifiSetBlocked(mac, site, blocked) {
+  if (CONFIG.UNIFI_CONTROLLER.url) {
+    const r = await unifiControllerCall('POST', site, '/cmd/stamgr', { cmd: blocked ? 'block-sta' : 'unblock-sta', mac: mac.toLowerCase() });
+    return r.error ? r : {};
+  }
+  return unifiApiCall('POST', blocked ? '/api/clients/block' : '/api/clients/unblock', { mac, site });
+}
+
+// Kick a kid's devices off UniFi for 5 minutes, then auto-unblock so devices
+// rejoin WiFi (but pfSense still blocks internet until parent manually allows).
+// Includes ALL known MACs — even excluded ones like wired PCs — so every device
+// disconnects cleanly and reconnects fresh when internet is restored.
+// fw picks the UniFi site (and the firewall whose alias lists the kid's IPs).
+async function kickKidInUnifi(tracker, sourceAddr, kidName, fw = defaultFirewall()) {
+  if (!unifiConfigured()) return;
+  const key = kickKey(tracker, fw);
+  const site = fw.unifiSite;
+
+  // Cancel any existing kick timer for this kid on this site
+  const existing = kidKickTimers.get(key);
+  if (existing) {
+    clearTimeout(existing.timeoutId);
+    kidKickTimers.delete(key);
+  }
+
+  const ips = await resolveSourceIPs(sourceAddr, fw);
+  if (!ips.length) return;
 
-  const ips = await resolveSourceIPs(sourceAddr);
-  if (!ips.length) return;
-
   // Query UniFi clients to find online devices for this kid's IPs
-  const clientsRes = await unifiApiCall('GET', `/api/clients?site=${CONFIG.UNIFI_SITE}`);
+  const clientsRes = await unifiListClients(site);
   const onlineMacs = [];
-  if (!clientsRes.error && Array.isArray(clientsRes)) {
+  if (!clientsRes.error) {
     ips.map(ip => clientsRes.find(c => c.ip === ip)?.mac).filter(Boolean)
        .forEach(m => onlineMacs.push(m));
     learnMacs(tracker, onlineMacs); // persist non-excluded MACs to known-macs store
@@ -475,7 +1541,7 @@ async function kickKidInUnifi(tracker, sourceAddr, kidName) {
 
   const kicked = [];
   for (const mac of macSet) {
-    const r = await unifiApiCall('POST', '/api/clients/block', { mac, site: CONFIG.UNIFI_SITE });
+    const r = await unifiSetBlocked(mac, site, true);
     if (!r.error) {
       kicked.push(mac);
       console.log(`kick: ${kidName} mac=${mac} — blocked`);
@@ -486,16 +1552,16 @@ async function kickKidInUnifi(tracker, sourceAddr, kidName) {
   if (!kicked.length) return;
 
   // Cache kicked MACs so early-allow (before timer fires) can unblock them
-  kidBlockedMacs.set(tracker, kicked);
+  kidBlockedMacs.set(key, kicked);
   saveBlockedMacs();
 
   // Auto-unblock after 5 minutes: devices rejoin WiFi, pfSense still blocks internet
   const timeoutId = setTimeout(async () => {
-    kidKickTimers.delete(tracker);
+    kidKickTimers.delete(key);
     console.log(`kick: auto-unblocking ${kidName} after 5-min kick`);
     try {
       for (const mac of kicked) {
-        const r = await unifiApiCall('POST', '/api/clients/unblock', { mac, site: CONFIG.UNIFI_SITE });
+        const r = await unifiSetBlocked(mac, site, false);
         if (!r.error) console.log(`kick: ${kidName} mac=${mac} — unblocked after 5-min kick`);
         else console.error(`kick: unblock failed for ${kidName} mac=${mac} — ${r.message || r.detail}`);
       }
@@ -505,28 +1571,31 @@ async function kickKidInUnifi(tracker, sourceAddr, kidName) {
     }
   }, 5 * 60 * 1000);
 
-  kidKickTimers.set(tracker, { timeoutId, macs: kicked });
-  console.log(`kick: ${kidName} — ${kicked.length} MACs blocked, auto-unblock in 5 min`);
+  kidKickTimers.set(key, { timeoutId, macs: kicked });
+  console.log(`kick: ${kidName} — ${kicked.length} MACs blocked on site ${site}, auto-unblock in 5 min`);
+  notifyStateChange(); // newly learned MACs show up in the device list
 }
 
 // Unblock a kid's devices on UniFi.
 // If a 5-min kick timer is still pending (parent allowed before it fired), cancel
 // it and unblock all kicked MACs (including excluded ones). Otherwise fall back
 // to the cached blocked-MACs list.
-async function unifiUnblockKid(tracker, kidName, sourceAddr = null) {
-  if (!CONFIG.UNIFI_URL) return;
+async function unifiUnblockKid(tracker, kidName, sourceAddr = null, fw = defaultFirewall()) {
+  if (!unifiConfigured()) return;
+  const key = kickKey(tracker, fw);
+  const site = fw.unifiSite;
 
   // Cancel any pending kick timer and unblock those MACs (includes excluded ones)
-  const kickTimer = kidKickTimers.get(tracker);
+  const kickTimer = kidKickTimers.get(key);
   if (kickTimer) {
     clearTimeout(kickTimer.timeoutId);
-    kidKickTimers.delete(tracker);
+    kidKickTimers.delete(key);
     for (const mac of kickTimer.macs) {
-      const r = await unifiApiCall('POST', '/api/clients/unblock', { mac, site: CONFIG.UNIFI_SITE });
+      const r = await unifiSetBlocked(mac, site, false);
       if (!r.error) console.log(`unifiUnblock: ${kidName} mac=${mac} — unblocked (early allow)`);
       else console.error(`unifiUnblock: failed for ${kidName} mac=${mac} — ${r.message || r.detail}`);
     }
-    kidBlockedMacs.delete(tracker);
+    kidBlockedMacs.delete(key);
     saveBlockedMacs();
     return;
   }
@@ -534,16 +1603,16 @@ async function unifiUnblockKid(tracker, kidName, sourceAddr = null) {
   // No pending kick timer — use cached MACs (kidBlockedMacs has all kicked MACs
   // including excluded ones; kidKnownMacs fallback filters excluded for safety)
   const toUnblock = new Set([
-    ...(kidBlockedMacs.get(tracker) || []),
+    ...(kidBlockedMacs.get(key) || []),
     ...[...(kidKnownMacs.get(tracker) || [])].filter(m => !unifiExcludedMacs.has(m.toLowerCase())),
   ]);
 
   // If we still have nothing, try IP lookup as last resort
   if (!toUnblock.size && sourceAddr) {
-    const ips = await resolveSourceIPs(sourceAddr);
+    const ips = await resolveSourceIPs(sourceAddr, fw);
     if (ips.length) {
-      const clientsRes = await unifiApiCall('GET', `/api/clients?site=${CONFIG.UNIFI_SITE}`);
-      if (!clientsRes.error && Array.isArray(clientsRes)) {
+      const clientsRes = await unifiListClients(site);
+      if (!clientsRes.error) {
         ips.map(ip => clientsRes.find(c => c.ip === ip)?.mac).filter(Boolean)
            .forEach(m => toUnblock.add(m));
       }
@@ -552,14 +1621,14 @@ async function unifiUnblockKid(tracker, kidName, sourceAddr = null) {
 
   if (!toUnblock.size) return;
   for (const mac of toUnblock) {
-    const r = await unifiApiCall('POST', '/api/clients/unblock', { mac, site: CONFIG.UNIFI_SITE });
+    const r = await unifiSetBlocked(mac, site, false);
     if (!r.error) {
       console.log(`unifiUnblock: ${kidName} mac=${mac} — unblocked`);
     } else {
       console.error(`unifiUnblock: failed for ${kidName} mac=${mac} — ${r.message || r.detail}`);
     }
   }
-  kidBlockedMacs.delete(tracker);
+  kidBlockedMacs.delete(key);
   saveBlockedMacs();
 }
 
@@ -573,54 +1642,308 @@ function ruleSourceAddr(rule) {
   return src.address || src.network || null;
 }
 
-async function blockKidNow(tracker) {
+// missed=true when the timer ran out while the server was down (see restoreTimers)
+async function blockKidNow(tracker, missed = false) {
   const timerData = activeTimers.get(tracker);
   activeTimers.delete(tracker);
+  saveTimers();
   const kidName = timerData?.kidName || String(tracker);
+  const ended = missed ? 'Timer ended while server was down' : 'Timer ended';
   try {
     // If the app schedule is currently active and not skipped, don't re-block
     const info = computeScheduleInfo(String(tracker));
     const skipUntil = activeSkips.get(tracker);
     const skipActive = skipUntil && Date.now() < skipUntil;
-    if (info.enabled && info.active && !skipActive) {
+    if (info.enabled && info.active && !skipActive && !isBudgetSpent(tracker, kidName)) {
       console.log(`Timer expired: tracker=${tracker} is in schedule window — not re-blocking`);
-      logAction('timer-expired', kidName, 'Timer ended — in schedule window, not re-blocked');
+      logAction('timer-expired', kidName, `${ended} — in schedule window, not re-blocked`);
       return;
     }
-    const res = await pfsenseApiCall('/api/v2/firewall/rules');
-    const rule = (res.data || []).find(r => r.tracker === tracker);
-    if (rule && rule.disabled) {
-      await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: rule.id, disabled: false });
-      await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-      await killStatesForSource(ruleSourceAddr(rule), kidName);
-      await kickKidInUnifi(tracker, ruleSourceAddr(rule), kidName);
-      logAction('timer-expired', kidName, 'Timer ended — blocked');
+    const kid = CONFIG.HOME_RULES.find(r => r.tracker === tracker) || { tracker, name: kidName };
+    const rulesByFw = await getRulesByFirewall(firewallsFor([kid]));
+    const found = findKidRules(kid, rulesByFw);
+    const result = await setKidsAllowed([kid], false);
+    // An earlier pass already reported the expiry and blocked part of the way
+    const reported = !!timerData?.partial;
+    const incomplete = found.some(f => f.error) || result.failed?.length || result.error;
+    if (incomplete) {
+      // A firewall unreachable or refusing — keep the timer armed and retry rather than leave the kid allowed
+      console.error(`Timer expired: could not block tracker=${tracker} everywhere, retrying in 60s`);
+      activeTimers.set(tracker, {
+        timeoutId: setTimeout(() => blockKidNow(tracker, missed), 60 * 1000),
+        endTime: timerData?.endTime || Date.now(),
+        kidName,
+        partial: reported || !!result.succeeded?.length
+      });
+      saveTimers();
+      if (!result.succeeded?.length) return;
+    }
+    if (reported) {
+      if (!incomplete) logAction('timer-expired', kidName, `${ended} — retry blocked the remaining firewalls`);
+    } else if (result.succeeded?.length && incomplete) {
+      const failedOn = [...new Set((result.failed || []).map(f => f.fw.name))].join(', ');
+      logAction('timer-expired', kidName, `${ended} — blocked, but not on ${failedOn} yet (retrying)`);
+      sendNotif('Timer Expired', `${kidName}'s internet timer ended — blocked, but ${failedOn} could not be reached yet; retrying every minute`);
+    } else if (result.succeeded?.length) {
+      logAction('timer-expired', kidName, `${ended} — blocked`);
       sendNotif('Timer Expired', `${kidName}'s internet timer ended — now blocked`);
+    } else if (missed) {
+      logAction('timer-expired', kidName, `${ended} — ${found.some(f => f.rule) ? 'already blocked' : 'rule not found'}`);
     }
   } catch (err) {
     console.error(`Timer expired: failed to re-block tracker=${tracker}:`, err.message);
   }
 }
 
+// Re-arm timers, skips and drift holds saved in timers.json. Timers that ran out
+// while the server was down are enforced immediately; expired skips and holds are dropped.
+async function restoreTimers() {
+  const { timers = {}, skips = {}, holds = {} } = loadTimers();
+  const now = Date.now();
+
+  for (const [t, skipUntil] of Object.entries(skips)) {
+    if (now < skipUntil) activeSkips.set(Number(t), skipUntil);
+  }
+  for (const [t, holdUntil] of Object.entries(holds)) {
+    if (now < holdUntil) driftHolds.set(Number(t), holdUntil);
+  }
+
+  const missed = [];
+  for (const [t, { endTime, kidName, partial }] of Object.entries(timers)) {
+    const tracker = Number(t);
+    const timeoutId = endTime > now ? setTimeout(() => blockKidNow(tracker), endTime - now) : null;
+    activeTimers.set(tracker, { timeoutId, endTime, kidName, ...(partial && { partial: true }) });
+    if (!timeoutId) missed.push(tracker);
+  }
+  saveTimers();
+
+  if (activeTimers.size || activeSkips.size) {
+    console.log(`Restored ${activeTimers.size - missed.length} timer(s), ${activeSkips.size} skip(s)`);
+  }
+  for (const tracker of missed) await blockKidNow(tracker, true);
+}
+
 // ============================================================================
 // Middleware
 // ============================================================================
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
+// ============================================================================
+// Authentication — accounts persisted to users.json, sessions to sessions.json
+// Roles, lowest to highest:
+//   viewer — read-only: may GET state (/api/home/rules, timeline, log, schedules)
+//   parent — may also toggle, start timers, skip windows and edit schedules
+//   admin  — may also change settings and manage user accounts
+// Clients send the session cookie set by POST /api/auth/login, or the same
+// token as "Authorization: Bearer <token>".
+// ============================================================================
+const USERS_FILE     = path.join(__dirname, 'users.json');
+const SESSIONS_FILE  = path.join(__dirname, 'sessions.json');
+const SESSION_COOKIE = 'kidsnet_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const ROLES = ['viewer', 'parent', 'admin'];
+
+// username → { passwordHash, role, createdAt }
+function loadUsers() {
+  try {
+    if (fs.existsSync(USERS_FILE)) return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Failed to load users.json:', e.message);
+  }
+  return {};
+}
+
+function saveUsers() {
+  try {
+    fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+  } catch (e) {
+    console.error('Failed to save users.json:', e.message);
+  }
+}
+
+// token → { username, expires }
+function loadSessions() {
+  const map = new Map();
+  try {
+    if (fs.existsSync(SESSIONS_FILE)) {
+      const now = Date.now();
+      for (const [token, s] of Object.entries(JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8')))) {
+        if (s.expires > now) map.set(token, s);
+      }
+    }
+  } catch (e) {
+    console.error('Failed to load sessions.json:', e.message);
+  }
+  return map;
+}
+
+function saveSessions() {
+  try {
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(Object.fromEntries(sessions), null, 2));
+  } catch (e) {
+    console.error('Failed to save sessions.json:', e.message);
+  }
+}
+
+// Stored as "salt:hash" using scrypt
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const users = loadUsers();
+const sessions = loadSessions();
+
+// First-run bootstrap: create an admin from ADMIN_USERNAME/ADMIN_PASSWORD if no
+// accounts exist. Otherwise the login page offers a one-time setup form.
+if (!Object.keys(users).length && process.env.ADMIN_PASSWORD) {
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  users[username] = { passwordHash: hashPassword(process.env.ADMIN_PASSWORD), role: 'admin', createdAt: Date.now() };
+  saveUsers();
+  console.log(`Created admin account "${username}" from ADMIN_PASSWORD`);
+}
+
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username, expires: Date.now() + SESSION_TTL_MS });
+  saveSessions();
+  return token;
+}
+
+// Drop every session belonging to a user (password change, role change, deletion)
+function endUserSessions(username) {
+  for (const [token, s] of sessions) {
+    if (s.username === username) sessions.delete(token);
+  }
+  saveSessions();
+}
+
+function getSessionToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0 && part.slice(0, eq).trim() === SESSION_COOKIE) return decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return null;
+}
+
+function setSessionCookie(req, res, token) {
+  const maxAge = token ? Math.floor(SESSION_TTL_MS / 1000) : 0;
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${req.secure ? '; Secure' : ''}`);
+}
+
+// Routes under /api/auth handle their own access (login, setup, status are public).
+// Routes under /api/kid are the kid-facing request page and need no session.
+const PUBLIC_AUTH_PATHS = new Set(['/auth/login', '/auth/setup', '/auth/status']);
+
+// Sets req.user = { username, role } from the session, or responds 401.
+function authenticate(req, res, next) {
+  if (PUBLIC_AUTH_PATHS.has(req.path) || req.path.startsWith('/kid/')) return next();
+  const token = getSessionToken(req);
+  const session = token ? sessions.get(token) : null;
+  const user = session ? users[session.username] : null;
+  if (!session || !user || session.expires < Date.now()) {
+    if (session) { sessions.delete(token); saveSessions(); }
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  session.expires = Date.now() + SESSION_TTL_MS; // sliding expiry, persisted on next save
+  req.user = { username: session.username, role: user.role };
+  req.sessionToken = token;
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user && ROLES.indexOf(req.user.role) >= ROLES.indexOf(role)) return next();
+    res.status(403).json({ error: `Requires ${role} role` });
+  };
+}
+
+// Default policy: reads need viewer, writes need parent. Admin-only routes add
+// requireRole('admin') themselves.
+app.use('/api', authenticate, (req, res, next) => {
+  if (req.path.startsWith('/auth/') || req.path.startsWith('/kid/')) return next();
+  requireRole(req.method === 'GET' ? 'viewer' : 'parent')(req, res, next);
+});
+
 // HTTPS Agent to skip certificate verification
 const httpsAgent = new https.Agent({ rejectUnauthorized: false });
 
 // ============================================================================
-// Helper: Make pfSense API calls
+// Firewall profiles — one per house: a pfSense or OPNsense box (type, see
+// "Firewall adapters"), its UniFi site and the SSH target for killing states.
+// The default profile is the one configured above (PFSENSE_URL, API_KEY,
+// FIREWALL_TYPE, UNIFI_SITE, CONFIG.SSH); CONFIG.FIREWALLS holds the others as
+// { id, name, type, url, apiKey, apiSecret, unifiSite, ssh }, saved to settings.json.
+// A kid's optional firewalls: [{ profile, tracker }] lists the profiles that
+// carry their block rule; kids without one use their tracker on the default.
 // ============================================================================
-async function pfsenseApiCall(endpoint, method = 'GET', body = null) {
+const DEFAULT_FIREWALL = 'default';
+
+function defaultFirewall() {
+  return {
+    id: DEFAULT_FIREWALL, name: CONFIG.FIREWALL_NAME, type: CONFIG.FIREWALL_TYPE, url: CONFIG.PFSENSE_URL,
+    apiKey: CONFIG.API_KEY, apiSecret: CONFIG.API_SECRET, unifiSite: CONFIG.UNIFI_SITE, ssh: CONFIG.SSH,
+  };
+}
+
+function allFirewalls() {
+  return [defaultFirewall(), ...CONFIG.FIREWALLS];
+}
+
+function getFirewall(id = DEFAULT_FIREWALL) {
+  return allFirewalls().find(fw => fw.id === id) || null;
+}
+
+// [{ fw, tracker }] — where the kid's block rule lives
+function kidTargets(kid) {
+  if (!kid.firewalls?.length) return [{ fw: defaultFirewall(), tracker: kid.tracker }];
+  return kid.firewalls.map(m => ({ fw: getFirewall(m.profile), tracker: m.tracker })).filter(t => t.fw);
+}
+
+// Firewalls carrying at least one of these kids' rules
+function firewallsFor(homeRules) {
+  const byId = new Map();
+  for (const kid of homeRules) {
+    for (const { fw } of kidTargets(kid)) byId.set(fw.id, fw);
+  }
+  return [...byId.values()];
+}
+
+// How log and notification text names a firewall — "pfSense"/"OPNsense" until there are several
+function firewallLabel(fw) {
+  return CONFIG.FIREWALLS.length ? fw.name : firewallAdapter(fw).label;
+}
+
+// dependencyHealth key: plain kind for the default profile, kind:id for others
+function healthKey(kind, fw) {
+  return fw.id === DEFAULT_FIREWALL ? kind : `${kind}:${fw.id}`;
+}
+
+// ============================================================================
+// Helper: Make pfSense API calls — fw is a firewall profile (default profile if omitted)
+// ============================================================================
+async function pfsenseApiCall(endpoint, method = 'GET', body = null, fw = defaultFirewall()) {
+  const mutates = method !== 'GET' && PF_CACHE_INVALIDATING.test(endpoint);
+  if (mutates) invalidatePfsenseCache();
+  const startedAt = Date.now();
   try {
-    const url = `${CONFIG.PFSENSE_URL}${endpoint}`;
+    const url = `${fw.url}${endpoint}`;
     const options = {
       method,
       headers: {
-        'X-API-Key': CONFIG.API_KEY,
+        'X-API-Key': fw.apiKey,
         'Content-Type': 'application/json'
       },
       agent: httpsAgent
@@ -631,6 +1954,9 @@ async function pfsenseApiCall(endpoint, method = 'GET', body = null) {
     const response = await fetch(url, options);
     const text = await response.text();
 
+    // Auth and server errors mean pfSense is unhealthy; other 4xx are just bad requests
+    const unhealthy = response.status === 401 || response.status === 403 || response.status >= 500;
+    recordHealth(healthKey('pfsense', fw), startedAt, unhealthy ? `HTTP ${response.status}` : null);
     if (!response.ok) {
       console.error(`pfSense API error [${endpoint}]:`, response.status, text);
       return { error: true, status: response.status, message: text };
@@ -638,8 +1964,581 @@ async function pfsenseApiCall(endpoint, method = 'GET', body = null) {
     try { return JSON.parse(text); } catch (e) { return { raw: text }; }
   } catch (err) {
     console.error(`pfSense API call failed [${endpoint}]:`, err.message);
+    recordHealth(healthKey('pfsense', fw), startedAt, err.message);
+    return { error: true, message: err.message };
+  } finally {
+    if (mutates) invalidatePfsenseCache();
+  }
+}
+
+// ============================================================================
+// Helper: Make OPNsense API calls — key and secret go as HTTP basic auth.
+// Every write is a POST; errors come back in the same shape as pfsenseApiCall's.
+// Health is recorded under the same 'pfsense' key (the firewall API check).
+// ============================================================================
+async function opnsenseApiCall(endpoint, method = 'GET', body = null, fw = defaultFirewall()) {
+  const mutates = method !== 'GET' && OPN_CACHE_INVALIDATING.test(endpoint);
+  if (mutates) invalidatePfsenseCache();
+  const startedAt = Date.now();
+  try {
+    const url = `${fw.url}${endpoint}`;
+    const options = {
+      method,
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${fw.apiKey}:${fw.apiSecret || ''}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      agent: httpsAgent
+    };
+    // OPNsense rejects a JSON POST without a body
+    if (method !== 'GET') options.body = JSON.stringify(body || {});
+
+    console.log(`API ${method} ${url}`);
+    const response = await fetch(url, options);
+    const text = await response.text();
+
+    const unhealthy = response.status === 401 || response.status === 403 || response.status >= 500;
+    recordHealth(healthKey('pfsense', fw), startedAt, unhealthy ? `HTTP ${response.status}` : null);
+    if (!response.ok) {
+      console.error(`OPNsense API error [${endpoint}]:`, response.status, text);
+      return { error: true, status: response.status, message: text };
+    }
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return { raw: text }; }
+    // Model saves answer 200 with { result: 'failed', validations: { field: message } }
+    if (data?.result === 'failed') {
+      const message = Object.values(data.validations || {}).join('; ') || 'Save failed';
+      console.error(`OPNsense API error [${endpoint}]:`, message);
+      return { error: true, status: response.status, message };
+    }
+    return { data };
+  } catch (err) {
+    console.error(`OPNsense API call failed [${endpoint}]:`, err.message);
+    recordHealth(healthKey('pfsense', fw), startedAt, err.message);
     return { error: true, message: err.message };
+  } finally {
+    if (mutates) invalidatePfsenseCache();
+  }
+}
+
+// ============================================================================
+// Firewall adapters — everything the app does to a firewall, per backend. A
+// profile's type picks one (pfSense when unset). Results use pfsenseApiCall's
+// shape ({ data } or { error, status, message }) and rules/aliases come back
+// in pfSense's shape:
+//   rule  { id, tracker, disabled, type, interface: [...], source, descr }
+//   alias { id, name, type, address: [...] }
+// killStates(fw, ip) resolves { ok, out } like the other state killers.
+// listLeases gives DHCP leases as { ip, mac, hostname, interface, online, static,
+// active, ends } — active is false once the lease has expired and ends is its
+// expiry in ms (either null when the firewall doesn't say);
+// addStaticMapping(fw, { iface, mac, ip, hostname, descr }) reserves an address.
+// listStaticMappings gives reservations as { id, iface, mac, ip, hostname, descr };
+// updateStaticMapping(fw, mapping, { ip, hostname }) and deleteStaticMapping take one.
+// ============================================================================
+const FIREWALL_ADAPTERS = {
+  pfsense: {
+    label: 'pfSense',
+    listRules:   fw => pfsenseApiCall('/api/v2/firewall/rules', 'GET', null, fw),
+    listAliases: async fw => {
+      const res = await pfsenseApiCall('/api/v2/firewall/aliases', 'GET', null, fw);
+      if (res.error) return res;
+      return { ...res, data: Array.isArray(res.data) ? res.data : [res.data].filter(Boolean) };
+    },
+    setRule: (fw, rule, fields) => pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: rule.id, ...fields }, fw),
+    apply:   fw => pfsenseApiCall('/api/v2/firewall/apply', 'POST', null, fw),
+    // address is kept in whatever form the alias returned (strings or { address })
+    updateAlias: (fw, aliasId, address) => pfsenseApiCall('/api/v2/firewall/alias', 'PATCH', { id: aliasId, address }, fw),
+    createAlias: (fw, { name, address, descr }) =>
+      pfsenseApiCall('/api/v2/firewall/alias', 'POST', { name, type: 'host', address, descr }, fw),
+    deleteAlias: (fw, aliasId) => pfsenseApiCall(`/api/v2/firewall/alias?id=${encodeURIComponent(aliasId)}`, 'DELETE', null, fw),
+    // Starts disabled (= kid allowed); placement 0 puts it above the interface's pass rules
+    createBlockRule: (fw, { iface, source, descr }) => pfsenseApiCall('/api/v2/firewall/rule', 'POST', {
+      type: 'block', interface: [iface], ipprotocol: 'inet46', protocol: null,
+      source, destination: 'any', disabled: true, descr, placement: 0
+    }, fw),
+    killStates: pfsenseKillStates,
+    listLeases: async fw => {
+      const res = await pfsenseApiCall('/api/v2/status/dhcp_server/leases', 'GET', null, fw);
+      if (res.error) return res;
+      return { data: (res.data || []).map(l => ({
+        ip: l.ip, mac: normaliseMac(l.mac), hostname: l.hostname || null, interface: l.if || null,
+        // online_status reads "active/online", "idle/offline", "online" or "offline"
+        online: l.online_status ? /\bonline$/i.test(l.online_status) : null, static: l.type === 'static',
+        active: l.active_status ? !/expired|free|abandoned/i.test(l.active_status) : null,
+        ends: l.ends ? Date.parse(`${String(l.ends).replace(/\//g, '-').replace(' ', 'T')}Z`) || null : null,
+      })) };
+    },
+    // Static mappings live under the interface's DHCP server (parent_id)
+    addStaticMapping: (fw, { iface, mac, ip, hostname, descr }) => {
+      if (!iface) return { error: true, message: 'No DHCP interface known for this device' };
+      return pfsenseDhcpChange(fw, 'POST', '/api/v2/services/dhcp_server/static_mapping',
+        { parent_id: iface, mac, ipaddr: ip, hostname: hostname || undefined, descr });
+    },
+    listStaticMappings: async fw => {
+      const res = await pfsenseApiCall('/api/v2/services/dhcp_server/static_mappings', 'GET', null, fw);
+      if (res.error) return res;
+      return { data: (res.data || []).map(m => ({
+        id: m.id, iface: m.parent_id, mac: normaliseMac(m.mac), ip: m.ipaddr, hostname: m.hostname || null, descr: m.descr || '',
+      })) };
+    },
+    updateStaticMapping: (fw, mapping, { ip, hostname }) => pfsenseDhcpChange(fw, 'PATCH', '/api/v2/services/dhcp_server/static_mapping',
+      { parent_id: mapping.iface, id: mapping.id, ipaddr: ip, hostname: hostname || undefined }),
+    deleteStaticMapping: (fw, mapping) => pfsenseDhcpChange(fw, 'DELETE',
+      `/api/v2/services/dhcp_server/static_mapping?parent_id=${encodeURIComponent(mapping.iface)}&id=${encodeURIComponent(mapping.id)}`),
+  },
+
+  // Only rules made under Firewall ▸ Automation ▸ Filter are reachable through
+  // OPNsense's API; kids' block rules have to live there.
+  opnsense: {
+    label: 'OPNsense',
+    listRules: async fw => {
+      const res = await opnsenseApiCall('/api/firewall/filter/search_rule?current=1&rowCount=-1', 'GET', null, fw);
+      if (res.error) return res;
+      return { data: (res.data?.rows || []).map(opnsenseRule) };
+    },
+    listAliases: async fw => {
+      const res = await opnsenseApiCall('/api/firewall/alias/search_item?current=1&rowCount=-1', 'GET', null, fw);
+      if (res.error) return res;
+      return { data: (res.data?.rows || []).map(row => ({
+        id: row.uuid, name: row.name, type: row.type,
+        address: String(row.content || '').split(/[\s,]+/).filter(Boolean),
+      })) };
+    },
+    setRule: (fw, rule, fields) => {
+      const changes = {};
+      if (fields.disabled !== undefined) changes.enabled = fields.disabled ? '0' : '1';
+      if (fields.source !== undefined) changes.source_net = fields.source;
+      return opnsenseApiCall(`/api/firewall/filter/set_rule/${rule.id}`, 'POST', { rule: changes }, fw);
+    },
+    apply: fw => opnsenseApiCall('/api/firewall/filter/apply', 'POST', null, fw),
+    updateAlias: (fw, aliasId, address) => opnsenseAliasChange(fw, `set_item/${aliasId}`,
+      { alias: { content: address.map(e => (typeof e === 'string' ? e : e.address)).join('\n') } }),
+    createAlias: async (fw, { name, address, descr }) => {
+      const res = await opnsenseAliasChange(fw, 'add_item',
+        { alias: { enabled: '1', name, type: 'host', content: address.join('\n'), description: descr } });
+      return res.error ? res : { data: { id: res.data.uuid } };
+    },
+    deleteAlias: (fw, aliasId) => opnsenseAliasChange(fw, `del_item/${aliasId}`),
+    createBlockRule: async (fw, { iface, source, descr }) => {
+      const res = await opnsenseApiCall('/api/firewall/filter/add_rule', 'POST', { rule: {
+        enabled: '0', action: 'block', quick: '1', interface: iface, direction: 'in', ipprotocol: 'inet46',
+        source_net: source, destination_net: 'any', description: descr, sequence: '1'
+      } }, fw);
+      return res.error ? res : { data: { id: res.data.uuid, tracker: opnsenseTracker(res.data.uuid) } };
+    },
+    killStates: opnsenseKillStates,
+    // DHCP goes through Kea — OPNsense's ISC server has no reservations API
+    listLeases: async fw => {
+      const res = await opnsenseApiCall('/api/kea/leases4/search?current=1&rowCount=-1', 'GET', null, fw);
+      if (res.error) return res;
+      return { data: (res.data?.rows || []).map(l => ({
+        ip: l.address, mac: normaliseMac(l.hwaddr), hostname: l.hostname ? l.hostname.replace(/\.$/, '') : null,
+        interface: l.if_name || null, online: null, static: false,
+        // Kea state 0 is a live lease; expire is in seconds
+        active: l.state !== undefined ? Number(l.state) === 0 : null, ends: l.expire ? Number(l.expire) * 1000 || null : null,
+      })) };
+    },
+    // Reservations belong to the Kea subnet containing the address
+    addStaticMapping: async (fw, { mac, ip, hostname, descr }) => {
+      const subnets = await opnsenseApiCall('/api/kea/dhcpv4/search_subnet?current=1&rowCount=-1', 'GET', null, fw);
+      if (subnets.error) return subnets;
+      const subnet = (subnets.data?.rows || []).find(row => ipv4InCidr(ip, String(row.subnet || '')));
+      if (!subnet) return { error: true, message: `No Kea subnet contains ${ip}` };
+      return opnsenseKeaChange(fw, 'add_reservation', { reservation: {
+        subnet: subnet.uuid, ip_address: ip, hw_address: mac, hostname: hostname || '', description: descr
+      } });
+    },
+    listStaticMappings: async fw => {
+      const res = await opnsenseApiCall('/api/kea/dhcpv4/search_reservation?current=1&rowCount=-1', 'GET', null, fw);
+      if (res.error) return res;
+      return { data: (res.data?.rows || []).map(row => ({
+        id: row.uuid, iface: row.subnet || null, mac: normaliseMac(row.hw_address), ip: row.ip_address,
+        hostname: row.hostname || null, descr: row.description || '',
+      })) };
+    },
+    updateStaticMapping: (fw, mapping, { ip, hostname }) => opnsenseKeaChange(fw, `set_reservation/${mapping.id}`,
+      { reservation: hostname ? { ip_address: ip, hostname } : { ip_address: ip } }),
+    deleteStaticMapping: (fw, mapping) => opnsenseKeaChange(fw, `del_reservation/${mapping.id}`),
+  },
+};
+
+function firewallAdapter(fw) {
+  return FIREWALL_ADAPTERS[fw.type] || FIREWALL_ADAPTERS.pfsense;
+}
+
+// OPNsense rules have no tracker — the app's numeric rule id is the first 48
+// bits of the rule's uuid, which stay the same for the rule's lifetime.
+function opnsenseTracker(uuid) {
+  return parseInt(String(uuid).replace(/-/g, '').slice(0, 12), 16) || null;
+}
+
+function opnsenseRule(row) {
+  return {
+    id: row.uuid, tracker: opnsenseTracker(row.uuid), disabled: row.enabled !== '1',
+    type: row.action, interface: String(row.interface || '').split(',').filter(Boolean),
+    source: row.source_net || null, descr: row.description || '',
+  };
+}
+
+// Alias edits only reach the running filter after a reconfigure
+async function opnsenseAliasChange(fw, action, body = null) {
+  const res = await opnsenseApiCall(`/api/firewall/alias/${action}`, 'POST', body, fw);
+  if (res.error) return res;
+  const reconfigure = await opnsenseApiCall('/api/firewall/alias/reconfigure', 'POST', null, fw);
+  return reconfigure.error ? reconfigure : res;
+}
+
+// DHCP changes only reach the running server after an apply
+async function pfsenseDhcpChange(fw, method, endpoint, body = null) {
+  const res = await pfsenseApiCall(endpoint, method, body, fw);
+  if (res.error) return res;
+  const applied = await pfsenseApiCall('/api/v2/services/dhcp_server/apply', 'POST', null, fw);
+  return applied.error ? applied : res;
+}
+
+// Kea reservation edits, followed by the reconfigure that loads them
+async function opnsenseKeaChange(fw, action, body = null) {
+  const res = await opnsenseApiCall(`/api/kea/dhcpv4/${action}`, 'POST', body, fw);
+  if (res.error) return res;
+  const reconfigure = await opnsenseApiCall('/api/kea/service/reconfigure', 'POST', null, fw);
+  return reconfigure.error ? reconfigure : res;
+}
+
+// Lists every state and deletes the ones from this IP. State ids are list
+// positions, so deletes go highest id first to keep the rest valid.
+async function pfsenseKillStates(fw, ip) {
+  const unmatchable = stateMatchError(ip, false);
+  if (unmatchable) return { ok: false, out: unmatchable };
+  const listRes = await pfsenseApiCall('/api/v2/firewall/states', 'GET', null, fw);
+  if (listRes.error) return { ok: false, out: pfsenseErrorText(listRes) };
+  const matches = (listRes.data || []).filter(st => stateMatchesIp(st, ip)).sort((a, b) => b.id - a.id);
+  let failed = 0;
+  for (const st of matches) {
+    const r = await pfsenseApiCall(`/api/v2/firewall/state?id=${encodeURIComponent(st.id)}`, 'DELETE', null, fw);
+    if (r.error) failed++;
+  }
+  if (failed) return { ok: false, out: `${failed} of ${matches.length} states could not be deleted` };
+  return { ok: true, out: `${matches.length} states deleted` };
+}
+
+// OPNsense searches states by text, so matches are narrowed to this source
+// address before each is deleted by its id and creator id.
+async function opnsenseKillStates(fw, ip) {
+  const unmatchable = stateMatchError(ip, false);
+  if (unmatchable) return { ok: false, out: unmatchable };
+  const searchRes = await opnsenseApiCall('/api/diagnostics/firewall/query_states', 'POST',
+    { current: 1, rowCount: 5000, searchPhrase: ip.split('/')[0] }, fw);
+  if (searchRes.error) return { ok: false, out: pfsenseErrorText(searchRes) };
+  const matches = (searchRes.data?.rows || []).filter(st => stateMatchesIp({ source: st.src_addr }, ip));
+  let failed = 0;
+  for (const st of matches) {
+    const r = await opnsenseApiCall(`/api/diagnostics/firewall/del_state/${st.id}/${st.creatorid}`, 'POST', null, fw);
+    if (r.error) failed++;
+  }
+  if (failed) return { ok: false, out: `${failed} of ${matches.length} states could not be deleted` };
+  return { ok: true, out: `${matches.length} states deleted` };
+}
+
+// Short-lived cache of the rules and aliases lists, which nearly every route,
+// timer and enforcement tick needs. Concurrent callers share one in-flight
+// request. Our own rule/alias/apply calls drop the cache (before and after, so
+// a read racing the write is never kept), as does changing the firewall settings.
+// Callers must treat the returned data as read-only.
+const PF_CACHE_TTL_MS = 5 * 1000;
+const PF_CACHE_INVALIDATING = /^\/api\/v2\/firewall\/(rule|alias|apply)/;
+const OPN_CACHE_INVALIDATING = /^\/api\/firewall\/(filter|alias)\//;
+const pfCache = new Map();   // "<firewall id> <adapter method>" → { promise, expires }
+let pfCacheGeneration = 0;
+
+function invalidatePfsenseCache() {
+  pfCache.clear();
+  pfCacheGeneration++;
+}
+
+// fresh skips the cached copy (for decisions that must see the firewall as it is
+// now) and caches the new read for everyone else.
+function firewallCachedRead(what, fw = defaultFirewall(), fresh = false) {
+  const key = `${fw.id} ${what}`;
+  const hit = pfCache.get(key);
+  if (!fresh && hit && hit.expires > Date.now()) return hit.promise;
+  const generation = pfCacheGeneration;
+  const promise = firewallAdapter(fw)[what](fw).then(result => {
+    // Errors aren't cached, nor are reads that overlapped one of our writes
+    if (result.error || generation !== pfCacheGeneration) {
+      if (pfCache.get(key)?.promise === promise) pfCache.delete(key);
+    }
+    return result;
+  });
+  pfCache.set(key, { promise, expires: Date.now() + PF_CACHE_TTL_MS });
+  return promise;
+}
+
+function getFirewallRules(fw = defaultFirewall(), fresh = false) {
+  return firewallCachedRead('listRules', fw, fresh);
+}
+
+function getFirewallAliases(fw = defaultFirewall()) {
+  return firewallCachedRead('listAliases', fw);
+}
+
+// Reads each firewall's rules in parallel (bypassing the cache when fresh).
+// Resolves a Map of firewall id → { fw, rules } or { fw, error }.
+async function getRulesByFirewall(fws = allFirewalls(), fresh = false) {
+  const entries = await Promise.all(fws.map(async fw => {
+    const res = await getFirewallRules(fw, fresh);
+    return [fw.id, res.error ? { fw, error: pfsenseErrorText(res) } : { fw, rules: res.data || [] }];
+  }));
+  return new Map(entries);
+}
+
+// The kid's block rule on each of their firewalls: [{ fw, tracker, rule, error }].
+// rule is null when missing; error is set when that firewall couldn't be read.
+function findKidRules(kid, rulesByFw) {
+  return kidTargets(kid).map(({ fw, tracker }) => {
+    const entry = rulesByFw.get(fw.id);
+    if (!entry || entry.error) return { fw, tracker, rule: null, error: entry?.error || 'Rules not fetched' };
+    return { fw, tracker, rule: entry.rules.find(r => r.tracker === tracker) || null, error: null };
+  });
+}
+
+// First error when none of the firewalls could be read, else null
+function allFirewallsFailed(rulesByFw) {
+  const entries = [...rulesByFw.values()];
+  return entries.length && entries.every(e => e.error) ? entries[0].error : null;
+}
+
+// Short text for a failed pfsenseApiCall result (pfSense puts it in .message of the JSON body)
+function pfsenseErrorText(result) {
+  try {
+    const body = JSON.parse(result.message);
+    if (body?.message) return body.message;
+    if (result.status) return `HTTP ${result.status}`;
+  } catch (_) {}
+  return result.message || (result.status ? `HTTP ${result.status}` : 'Unknown error');
+}
+
+// Applies a batch of block-rule changes with one apply per firewall.
+// changes: [{ kid: { tracker, name }, fw, rule, disabled, ... }] — extra fields are
+// passed through; fw defaults to the default profile.
+// A change may instead carry { fields, undo }: the PATCH body (minus id) and its reverse.
+// A kid whose PATCH fails is reported in `failed` and the rest carry on. If a
+// firewall's apply fails, the PATCHes that went through there are reverted so
+// its saved config matches what it is running, and they are reported failed.
+// applyError is set only when that left nothing changed anywhere.
+// Returns { succeeded, failed: [{ ...change, error }], applyError }.
+async function applyRuleChanges(changes) {
+  const byFirewall = new Map();
+  for (const change of changes) {
+    const fw = change.fw || defaultFirewall();
+    if (!byFirewall.has(fw.id)) byFirewall.set(fw.id, { fw, changes: [] });
+    byFirewall.get(fw.id).changes.push({ ...change, fw });
+  }
+  const succeeded = [];
+  const failed = [];
+  let applyError = null;
+  for (const group of byFirewall.values()) {
+    const result = await applyRuleChangesOn(group.fw, group.changes);
+    succeeded.push(...result.succeeded);
+    failed.push(...result.failed);
+    applyError = applyError || result.applyError;
+  }
+  return { succeeded, failed, applyError: succeeded.length ? null : applyError };
+}
+
+async function applyRuleChangesOn(fw, changes) {
+  const adapter = firewallAdapter(fw);
+  const succeeded = [];
+  const failed = [];
+  for (const change of changes) {
+    const fields = change.fields || { disabled: change.disabled };
+    const r = await adapter.setRule(fw, change.rule, fields);
+    if (r.error) failed.push({ ...change, error: pfsenseErrorText(r) });
+    else {
+      noteOwnRuleChange({ id: change.rule.id, ...fields }, fw);
+      succeeded.push(change);
+    }
+  }
+  if (!succeeded.length) return { succeeded, failed, applyError: null };
+
+  const applyRes = await adapter.apply(fw);
+  if (!applyRes.error) return { succeeded, failed, applyError: null };
+
+  const applyError = pfsenseErrorText(applyRes);
+  console.error(`Rule changes: apply failed on ${fw.name} (${applyError}) — reverting ${succeeded.length} rule(s)`);
+  for (const change of succeeded) {
+    const undo = change.undo || { disabled: !change.disabled };
+    const r = await adapter.setRule(fw, change.rule, undo);
+    if (r.error) console.error(`Rule changes: could not revert ${change.kid.name} (tracker ${change.rule.tracker}):`, pfsenseErrorText(r));
+    else noteOwnRuleChange({ id: change.rule.id, ...undo }, fw);
+    failed.push({ ...change, error: `Apply failed: ${applyError}${r.error ? ' (revert failed too)' : ''}` });
+  }
+  return { succeeded: [], failed, applyError };
+}
+
+// Allows (disables the block rules of) or blocks every kid in homeRules on all
+// of their firewalls, one apply per firewall, then unblocks their devices or
+// kills their states and kicks them from WiFi wherever that went through.
+// Rules already in that state are left alone; a firewall that can't be read
+// fails its kids. Returns applyRuleChanges' result, or { error, message } when
+// no firewall could be read.
+async function setKidsAllowed(homeRules, allowed) {
+  const rulesByFw = await getRulesByFirewall(firewallsFor(homeRules));
+  const readError = allFirewallsFailed(rulesByFw);
+  if (readError) return { error: true, message: readError };
+
+  const changes = [];
+  const unreadable = [];
+  for (const kid of homeRules) {
+    for (const { fw, rule, error } of findKidRules(kid, rulesByFw)) {
+      if (error) unreadable.push({ kid, fw, error: `Could not read rules: ${error}` });
+      else if (rule && !!rule.disabled !== allowed) changes.push({ kid, fw, rule, disabled: allowed });
+    }
+  }
+
+  const result = await applyRuleChanges(changes);
+  result.failed.push(...unreadable);
+  for (const { kid, fw, rule } of result.succeeded) {
+    if (allowed) {
+      await unifiUnblockKid(kid.tracker, kid.name, ruleSourceAddr(rule), fw);
+    } else {
+      await killStatesAfterBlock(kid, rule, fw);
+      await kickKidInUnifi(kid.tracker, ruleSourceAddr(rule), kid.name, fw);
+    }
+  }
+  return result;
+}
+
+// ============================================================================
+// Drift detection — notices changes to kids' block rules made outside the app
+// (pfSense GUI, another API client). The last state we saw or set for each rule
+// is kept in rule-baseline.json and compared with pfSense every enforcement tick.
+// CONFIG.DRIFT_POLICY decides whether a changed enabled flag or source is
+// reverted or adopted; a deleted rule can only be reported.
+// baselineKey -> { id, disabled, source, profile }
+// ============================================================================
+const RULE_BASELINE_FILE = path.join(__dirname, 'rule-baseline.json');
+
+function loadRuleBaseline() {
+  try {
+    if (fs.existsSync(RULE_BASELINE_FILE)) return JSON.parse(fs.readFileSync(RULE_BASELINE_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Failed to load rule-baseline.json:', e.message);
+  }
+  return {};
+}
+
+function saveRuleBaseline() {
+  try {
+    fs.writeFileSync(RULE_BASELINE_FILE, JSON.stringify(ruleBaseline, null, 2));
+  } catch (e) {
+    console.error('Failed to save rule-baseline.json:', e.message);
+  }
+}
+
+let ruleBaseline = loadRuleBaseline();
+
+// Rules on the default firewall keep their plain tracker as key
+function baselineKey(fw, tracker) {
+  return fw.id === DEFAULT_FIREWALL ? String(tracker) : `${fw.id}:${tracker}`;
+}
+
+// Called by applyRuleChanges after each successful rule change, so our own changes
+// never look like drift.
+function noteOwnRuleChange(body, fw) {
+  const known = Object.values(ruleBaseline).find(b => (b.profile || DEFAULT_FIREWALL) === fw.id && b.id === body?.id);
+  if (!known) return;
+  if (body.disabled !== undefined) known.disabled = !!body.disabled;
+  if (body.source !== undefined) known.source = body.source;
+  saveRuleBaseline();
+}
+
+// Every outside change is logged as external-change; state ('allowed' or
+// 'blocked') is set when it left the kid in a different state, so the
+// timeline and budget count it
+function reportDrift(kid, details, state = null) {
+  console.log(`Drift: ${kid.name} — ${details}`);
+  logAction('external-change', kid.name, details, null, state ? { state } : {});
+  sendNotif('Changed outside the app', `${kid.name}: ${details}`);
+}
+
+// Compares each firewall's rules with the baseline and reverts or adopts
+// whatever changed. rulesByFw comes from getRulesByFirewall; firewalls that
+// couldn't be read are skipped. Returns the kid trackers it dealt with, which
+// enforcement leaves alone for this tick.
+async function checkRuleDrift(rulesByFw) {
+  const handled = new Set();
+  const reverts = [];
+  let baselineChanged = false;
+
+  const keys = new Set(CONFIG.HOME_RULES.flatMap(kid => kidTargets(kid).map(t => baselineKey(t.fw, t.tracker))));
+  for (const key of Object.keys(ruleBaseline)) {
+    if (!keys.has(key)) { delete ruleBaseline[key]; baselineChanged = true; }
+  }
+
+  for (const kid of CONFIG.HOME_RULES) {
+    for (const { fw, tracker, rule, error } of findKidRules(kid, rulesByFw)) {
+      if (error) continue;
+      const key = baselineKey(fw, tracker);
+      const known = ruleBaseline[key];
+      if (!known) {
+        // First sighting (new kid or first run) — nothing to compare against yet
+        if (rule) { ruleBaseline[key] = { id: rule.id, disabled: !!rule.disabled, source: ruleSourceAddr(rule), profile: fw.id }; baselineChanged = true; }
+        continue;
+      }
+      if (!rule) {
+        delete ruleBaseline[key];
+        baselineChanged = true;
+        handled.add(kid.tracker);
+        reportDrift(kid, `Block rule ${tracker} was deleted on ${firewallLabel(fw)} — kid can no longer be blocked there`);
+        continue;
+      }
+      if (known.id !== rule.id) { known.id = rule.id; baselineChanged = true; } // ids shift when rules are reordered
+
+      const source = ruleSourceAddr(rule);
+      const flagChanged = !!rule.disabled !== known.disabled;
+      const sourceChanged = source !== known.source;
+      if (!flagChanged && !sourceChanged) continue;
+      handled.add(kid.tracker);
+
+      const what = [];
+      if (flagChanged) what.push(rule.disabled ? 'Block rule disabled (allowed)' : 'Block rule enabled (blocked)');
+      if (sourceChanged) what.push(`source changed from ${known.source || 'none'} to ${source || 'none'}`);
+      const where = CONFIG.FIREWALLS.length ? ` on ${fw.name}` : '';
+
+      if (CONFIG.DRIFT_POLICY === 'adopt') {
+        known.disabled = !!rule.disabled;
+        known.source = source;
+        baselineChanged = true;
+        // Keep the schedule from undoing it straight away — hold until its next transition
+        const info = computeScheduleInfo(String(kid.tracker));
+        if (flagChanged && info.enabled) {
+          const midnight = new Date(); midnight.setHours(24, 0, 0, 0);
+          driftHolds.set(kid.tracker, (info.active ? info.windowEnd : info.nextStart) || midnight.getTime());
+          saveTimers();
+        }
+        reportDrift(kid, `${what.join(', ')}${where} outside the app — adopted`,
+          flagChanged ? (rule.disabled ? 'allowed' : 'blocked') : null);
+      } else {
+        const fields = {};
+        const undo = {};
+        if (flagChanged)   { fields.disabled = known.disabled; undo.disabled = !!rule.disabled; }
+        if (sourceChanged) { fields.source = known.source;     undo.source = source; }
+        reverts.push({ kid, fw, rule, fields, undo, what: what.join(', ') + where });
+      }
+    }
+  }
+  if (baselineChanged) saveRuleBaseline();
+
+  if (reverts.length) {
+    const { succeeded, failed } = await applyRuleChanges(reverts);
+    for (const { kid, what } of succeeded) reportDrift(kid, `${what} outside the app — reverted`);
+    for (const { kid, what, error, undo } of failed) {
+      const state = undo.disabled === undefined ? null : undo.disabled ? 'allowed' : 'blocked';
+      reportDrift(kid, `${what} outside the app — revert failed: ${error}`, state);
+    }
   }
+  return handled;
 }
 
 // ============================================================================
@@ -650,11 +2549,19 @@ async function pfsenseApiCall(endpoint, method = 'GET', body = null) {
 async function enforceSchedules() {
   try {
     // Clean up expired skips
+    let skipsChanged = false;
     for (const [t, su] of activeSkips) {
-      if (Date.now() >= su) activeSkips.delete(t);
+      if (Date.now() >= su) { activeSkips.delete(t); skipsChanged = true; }
+    }
+    for (const [t, hu] of driftHolds) {
+      if (Date.now() >= hu) { driftHolds.delete(t); skipsChanged = true; }
     }
+    if (skipsChanged) saveTimers();
 
-    // Clean up day overrides from previous days
+    expireTimeRequests();
+    pruneActionLog();
+
+    // Clean up day and budget overrides from previous days
     const todayStr = getTodayStr();
     let overridesChanged = false;
     for (const config of Object.values(scheduleConfig)) {
@@ -662,68 +2569,89 @@ async function enforceSchedules() {
         delete config.dayOverride;
         overridesChanged = true;
       }
+      if (config.budgetOverride && config.budgetOverride.date !== todayStr) {
+        delete config.budgetOverride;
+        overridesChanged = true;
+      }
     }
     if (overridesChanged) saveSchedules();
 
-    const rulesRes = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesRes.error) {
+    const generation = pfCacheGeneration;
+    const rulesByFw = await getRulesByFirewall(firewallsFor(CONFIG.HOME_RULES));
+    if (allFirewallsFailed(rulesByFw)) {
       console.error('Schedule enforcement: failed to fetch pfSense rules');
       return;
     }
-    const allRules = rulesRes.data || [];
-    let needsApply = false;
-    const toKillStates = [];
+    for (const { fw, error } of rulesByFw.values()) {
+      if (error) console.error(`Schedule enforcement: failed to fetch rules from ${fw.name} — its kids are retried next tick`);
+    }
+
+    // Only trust the rules for drift if none of our own writes overlapped the fetch
+    const drifted = generation === pfCacheGeneration ? await checkRuleDrift(rulesByFw) : new Set();
+    const changes = [];
 
     for (const kid of CONFIG.HOME_RULES) {
-      // Skip if a manual timer is active for this kid
-      if (activeTimers.has(kid.tracker)) continue;
+      // Skip if a manual timer is active, or an outside change was just handled or adopted
+      if (activeTimers.has(kid.tracker) || drifted.has(kid.tracker) || driftHolds.has(kid.tracker)) continue;
 
       const info = computeScheduleInfo(String(kid.tracker));
-      if (!info.enabled) continue; // schedule disabled for this kid
-
-      const blockRule = allRules.find(r => r.tracker === kid.tracker);
-      if (!blockRule) continue;
-
-      // blockRule.disabled=true  → kid is ALLOWED  (block rule bypassed)
-      // blockRule.disabled=false → kid is BLOCKED   (block rule active)
-      const kidIsAllowed = blockRule.disabled;
+      const budgetSpent = isBudgetSpent(kid.tracker, kid.name);
+      // Nothing to enforce when the schedule is off and the daily budget isn't spent
+      if (!info.enabled && !budgetSpent) continue;
 
-      // A skip overrides the schedule: treat the kid as "should be blocked"
+      // A skip or a spent budget overrides the schedule: treat the kid as "should be blocked"
       const skipUntil = activeSkips.get(kid.tracker);
       const skipActive = skipUntil && Date.now() < skipUntil;
-      const shouldBeAllowed = info.active && !skipActive;
-
-      if (shouldBeAllowed && !kidIsAllowed) {
-        // Should be allowed but is blocked — disable block rule
-        await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: blockRule.id, disabled: true });
-        needsApply = true;
-        console.log(`Schedule: allowing ${kid.name}`);
-        logAction('schedule-allow', kid.name, 'Schedule window opened');
-        sendNotif('Schedule', `${kid.name} — internet allowed (schedule window opened)`);
-        await unifiUnblockKid(kid.tracker, kid.name, ruleSourceAddr(blockRule));
-      } else if (!shouldBeAllowed && kidIsAllowed) {
-        // Should be blocked but is allowed — enable block rule
-        await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: blockRule.id, disabled: false });
-        needsApply = true;
-        if (skipActive) {
-          console.log(`Skip: blocking ${kid.name} until ${new Date(skipUntil).toLocaleTimeString()}`);
-          logAction('schedule-block', kid.name, `Skipped until ${new Date(skipUntil).toLocaleTimeString()}`);
+      const shouldBeAllowed = info.enabled && info.active && !skipActive && !budgetSpent;
+
+      // rule.disabled=true  → kid is ALLOWED  (block rule bypassed)
+      // rule.disabled=false → kid is BLOCKED   (block rule active)
+      for (const { fw, rule } of findKidRules(kid, rulesByFw)) {
+        if (!rule || !!rule.disabled === shouldBeAllowed) continue;
+        if (shouldBeAllowed) {
+          // Should be allowed but is blocked — disable block rule
+          changes.push({ kid, fw, rule, disabled: true,
+            action: 'schedule-allow', details: 'Schedule window opened',
+            notif: ['Schedule', `${kid.name} — internet allowed (schedule window opened)`] });
+        } else if (budgetSpent) {
+          // Should be blocked but is allowed — enable block rule
+          changes.push({ kid, fw, rule, disabled: false,
+            action: 'budget-exhausted', details: 'Daily screen-time budget used up',
+            notif: ['Budget', `${kid.name} — daily screen time used up, internet blocked`] });
         } else {
-          console.log(`Schedule: blocking ${kid.name}`);
-          logAction('schedule-block', kid.name, 'Schedule window closed');
+          changes.push({ kid, fw, rule, disabled: false,
+            action: 'schedule-block',
+            details: skipActive ? `Skipped until ${new Date(skipUntil).toLocaleTimeString()}` : 'Schedule window closed',
+            notif: ['Schedule', `${kid.name} — internet blocked`] });
         }
-        sendNotif('Schedule', `${kid.name} — internet blocked`);
-        toKillStates.push({ rule: blockRule, name: kid.name, tracker: kid.tracker });
       }
     }
 
-    if (needsApply) {
-      await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-      for (const { rule, name, tracker } of toKillStates) {
-        await killStatesForSource(ruleSourceAddr(rule), name);
-        await kickKidInUnifi(tracker, ruleSourceAddr(rule), name);
+    if (!changes.length) {
+      notifyIfStale(rulesByFw);
+      return;
+    }
+
+    // Failed kids are simply retried on the next tick; a kid on several
+    // firewalls is logged and notified once
+    const { succeeded, failed } = await applyRuleChanges(changes);
+    for (const f of failed) console.error(`Schedule enforcement: ${f.action} for ${f.kid.name} on ${f.fw.name} failed — ${f.error}`);
+    const reported = new Set();
+    for (const { kid, fw, rule, disabled, action, details, notif } of succeeded) {
+      if (!reported.has(kid.tracker)) {
+        reported.add(kid.tracker);
+        console.log(`Schedule enforcement: ${action} ${kid.name} — ${details}`);
+        logAction(action, kid.name, details);
+        sendNotif(...notif);
+      }
+      if (disabled) {
+        await unifiUnblockKid(kid.tracker, kid.name, ruleSourceAddr(rule), fw);
+      } else {
+        await killStatesAfterBlock(kid, rule, fw);
+        await kickKidInUnifi(kid.tracker, ruleSourceAddr(rule), kid.name, fw);
       }
     }
+    notifyStateChange();
   } catch (err) {
     console.error('Schedule enforcement error:', err.message);
   }
@@ -733,9 +2661,15 @@ async function enforceSchedules() {
 // Routes
 // ============================================================================
 
-// Health check
+// Health check — liveness, so always 200; a failing pfSense shows as 'degraded'
+// in the body (see /api/diagnostics for detail)
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const pfsenseOk = isHealthy('pfsense');
+  res.json({
+    status: pfsenseOk ? 'ok' : 'degraded',
+    pfsense: pfsenseOk ? 'ok' : dependencyHealth.pfsense.lastError,
+    timestamp: new Date().toISOString()
+  });
 });
 
 // Schedule config page
@@ -753,18 +2687,330 @@ app.get('/settings', (_req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'settings.html'));
 });
 
-// GET /api/log — return audit log
-app.get('/api/log', (_req, res) => {
-  res.json({ success: true, log: actionLog });
+// Login page
+app.get('/login', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
-// GET /api/home/timeline — per-kid today's allow/block timeline segments
-app.get('/api/home/timeline', (_req, res) => {
-  const timelines = {};
-  for (const kid of CONFIG.HOME_RULES) {
-    timelines[kid.tracker] = buildTimeline(kid.name);
-  }
-  res.json({ success: true, timelines });
+// ============================================================================
+// Auth API
+// ============================================================================
+
+// Failed logins per client IP — ip → { count, first }. 10 failures locks out for 15 min.
+const failedLogins = new Map();
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// GET /api/auth/status — public; tells the login page whether first-run setup is needed
+app.get('/api/auth/status', (_req, res) => {
+  res.json({ success: true, setupRequired: !Object.keys(users).length });
+});
+
+// POST /api/auth/setup  body: { username, password } — create the first admin (only when no users exist)
+app.post('/api/auth/setup', (req, res) => {
+  try {
+    if (Object.keys(users).length) return res.status(409).json({ error: 'Setup already completed' });
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+    if (!/^[\w.-]{1,32}$/.test(username)) return res.status(400).json({ error: 'Invalid username' });
+    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+
+    users[username] = { passwordHash: hashPassword(password), role: 'admin', createdAt: Date.now() };
+    saveUsers();
+    const token = createSession(username);
+    setSessionCookie(req, res, token);
+    logAction('user-add', null, `Admin "${username}" created at first-run setup`, username);
+    res.json({ success: true, token, username, role: 'admin' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/auth/login  body: { username, password } — sets session cookie, also returns token for Bearer use
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const ip = req.ip;
+    const failed = failedLogins.get(ip);
+    if (failed && Date.now() - failed.first > LOGIN_LOCKOUT_MS) failedLogins.delete(ip);
+    else if (failed && failed.count >= 10) {
+      return res.status(429).json({ error: 'Too many failed logins — try again later' });
+    }
+
+    const username = String(req.body.username || '').trim();
+    const user = users[username];
+    if (!user || !verifyPassword(req.body.password || '', user.passwordHash)) {
+      const f = failedLogins.get(ip) || { count: 0, first: Date.now() };
+      f.count++;
+      failedLogins.set(ip, f);
+      console.log(`Login failed for "${username}" from ${ip}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    failedLogins.delete(ip);
+    const token = createSession(username);
+    setSessionCookie(req, res, token);
+    logAction('login', null, `Signed in from ${ip}`, username);
+    res.json({ success: true, token, username, role: user.role });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/auth/logout — end the current session
+app.post('/api/auth/logout', (req, res) => {
+  sessions.delete(req.sessionToken);
+  saveSessions();
+  setSessionCookie(req, res, null);
+  res.json({ success: true, message: 'Signed out' });
+});
+
+// GET /api/auth/me — current user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, username: req.user.username, role: req.user.role });
+});
+
+// PUT /api/auth/password  body: { currentPassword, newPassword } — change own password
+app.put('/api/auth/password', (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = users[req.user.username];
+    if (!verifyPassword(currentPassword || '', user.passwordHash)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    if (!newPassword || String(newPassword).length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    user.passwordHash = hashPassword(String(newPassword));
+    saveUsers();
+    endUserSessions(req.user.username);
+    const token = createSession(req.user.username);
+    setSessionCookie(req, res, token);
+    logAction('password-change', null, 'Password changed', req.user.username);
+    res.json({ success: true, token, message: 'Password changed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// User management API (admin only)
+// ============================================================================
+
+// True if removing/demoting `username` would leave no admin account
+function isLastAdmin(username) {
+  return users[username]?.role === 'admin'
+    && Object.values(users).filter(u => u.role === 'admin').length === 1;
+}
+
+// GET /api/users — list accounts (no password hashes)
+app.get('/api/users', requireRole('admin'), (_req, res) => {
+  const list = Object.entries(users).map(([username, u]) => ({ username, role: u.role, createdAt: u.createdAt }));
+  res.json({ success: true, users: list });
+});
+
+// POST /api/users  body: { username, password, role }
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim();
+    const { password, role } = req.body;
+    if (!/^[\w.-]{1,32}$/.test(username)) return res.status(400).json({ error: 'Invalid username' });
+    if (users[username]) return res.status(409).json({ error: 'User already exists' });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    if (!password || String(password).length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+
+    users[username] = { passwordHash: hashPassword(String(password)), role, createdAt: Date.now() };
+    saveUsers();
+    logAction('user-add', null, `Added ${role} "${username}"`, req.user.username);
+    res.json({ success: true, username, role, message: `Added ${username}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/users/:username  body: { role?, password? }
+app.put('/api/users/:username', requireRole('admin'), (req, res) => {
+  try {
+    const { username } = req.params;
+    const user = users[username];
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { role, password } = req.body;
+    const changes = [];
+
+    if (role !== undefined && role !== user.role) {
+      if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      if (isLastAdmin(username)) return res.status(400).json({ error: 'Cannot demote the last admin' });
+      user.role = role;
+      changes.push(`role → ${role}`);
+    }
+    if (password) {
+      if (String(password).length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      user.passwordHash = hashPassword(String(password));
+      changes.push('password reset');
+    }
+    if (!changes.length) return res.json({ success: true, message: 'No changes' });
+
+    saveUsers();
+    endUserSessions(username);
+    logAction('user-update', null, `${username}: ${changes.join(', ')}`, req.user.username);
+    res.json({ success: true, message: `Updated ${username}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// DELETE /api/users/:username
+app.delete('/api/users/:username', requireRole('admin'), (req, res) => {
+  try {
+    const { username } = req.params;
+    if (!users[username]) return res.status(404).json({ error: 'User not found' });
+    if (username === req.user.username) return res.status(400).json({ error: 'Cannot delete your own account' });
+    if (isLastAdmin(username)) return res.status(400).json({ error: 'Cannot delete the last admin' });
+
+    delete users[username];
+    saveUsers();
+    endUserSessions(username);
+    logAction('user-remove', null, `Removed "${username}"`, req.user.username);
+    res.json({ success: true, message: `Removed ${username}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// GET /api/log — audit log, newest first, filtered by ?kid, ?type, ?action,
+// ?from and ?to (see parseLogFilter) and paged with ?limit (default 100, max
+// 1000) and ?offset. total is the number of matching entries.
+app.get('/api/log', (req, res) => {
+  try {
+    const filter = parseLogFilter(req.query);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+    const limit  = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const matches = queryActionLog(filter);
+    res.json({ success: true, log: matches.slice(offset, offset + limit), total: matches.length, offset, limit });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// GET /api/home/timeline — per-kid today's allow/block timeline segments
+app.get('/api/home/timeline', (_req, res) => {
+  const timelines = {};
+  for (const kid of CONFIG.HOME_RULES) {
+    timelines[kid.tracker] = buildTimeline(kid);
+  }
+  res.json({ success: true, timelines });
+});
+
+// GET /api/reports/usage?from=YYYY-MM-DD&to=YYYY-MM-DD — allowed minutes per kid
+// per day by source (schedule, timer, manual). Defaults to the last 7 days.
+app.get('/api/reports/usage', (req, res) => {
+  try {
+    const today = getTodayStr();
+    const to   = req.query.to   || today;
+    const from = req.query.from || addDays(to, -6);
+    if (!isDateStr(from) || !isDateStr(to)) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+    if (addDays(from, MAX_REPORT_DAYS - 1) < to) {
+      return res.status(400).json({ error: `Reports cover at most ${MAX_REPORT_DAYS} days` });
+    }
+    res.json({ success: true, ...buildUsageReport(from, to) });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// Exports — the activity log and per-kid timeline segments as CSV (local time,
+// honouring TIMEZONE) or raw JSON, with the same filters as /api/log.
+// ============================================================================
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Quotes cells that need it and defuses spreadsheet formulas (=, +, -, @)
+function csvCell(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// "YYYY-MM-DD HH:MM:SS" in the server's timezone
+function localTimestamp(ms) {
+  const d = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${toDateStr(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+// columns: [{ header, value: row => cell }], used for CSV only
+function sendExport(res, format, basename, rows, columns) {
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}-${getTodayStr()}.${format}"`);
+  if (format === 'json') return res.json(rows);
+  const lines = [
+    columns.map(c => csvCell(c.header)).join(','),
+    ...rows.map(row => columns.map(c => csvCell(c.value(row))).join(','))
+  ];
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.send(lines.join('\r\n') + '\r\n');
+}
+
+// Named in the CSV headers so spreadsheets know what the local times mean
+const EXPORT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// GET /api/log/export?format=csv|json — every log entry matching the /api/log
+// filters (kid, type, action, from, to), newest first, without paging
+app.get('/api/log/export', (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    const filter = parseLogFilter(req.query);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+
+    sendExport(res, format, 'activity-log', queryActionLog(filter), [
+      { header: `time (${EXPORT_TIMEZONE})`, value: e => localTimestamp(e.ts) },
+      { header: 'kid',     value: e => e.kid },
+      { header: 'action',  value: e => e.action },
+      { header: 'type',    value: e => LOG_ACTION_TYPES[e.action] },
+      { header: 'details', value: e => e.details },
+      { header: 'user',    value: e => e.user },
+    ]);
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// GET /api/timeline/export?format=csv|json&kid=&from=&to= — allow/block segments
+// per kid, oldest first. Defaults to the 7 days ending on `to` (or today).
+app.get('/api/timeline/export', (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    const { kid, from, to } = req.query;
+    const filter = parseLogFilter({ from, to });
+    if (filter.error) return res.status(400).json({ error: filter.error });
+    const kids = kid ? CONFIG.HOME_RULES.filter(r => r.name === kid) : CONFIG.HOME_RULES;
+    if (kid && !kids.length) return res.status(400).json({ error: `Unknown kid: ${kid}` });
+
+    const lastDay = to || getTodayStr();
+    const start = filter.from ?? dayBounds(addDays(lastDay, -6))[0];
+    const end   = Math.min(filter.to ?? dayBounds(lastDay)[1], Date.now());
+    if (filter.from !== null && addDays(from, MAX_REPORT_DAYS - 1) < lastDay) {
+      return res.status(400).json({ error: `Exports cover at most ${MAX_REPORT_DAYS} days` });
+    }
+
+    const rows = [];
+    for (const k of kids) {
+      for (const seg of buildSegments(k, start, end)) rows.push({ kid: k.name, tracker: k.tracker, ...seg });
+    }
+    sendExport(res, format, 'timeline', rows, [
+      { header: 'kid',     value: r => r.kid },
+      { header: `start (${EXPORT_TIMEZONE})`, value: r => localTimestamp(r.start) },
+      { header: `end (${EXPORT_TIMEZONE})`,   value: r => localTimestamp(r.end) },
+      { header: 'minutes', value: r => Math.round((r.end - r.start) / 60000) },
+      { header: 'state',   value: r => r.state },
+      { header: 'source',  value: r => r.source },
+    ]);
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
 });
 
 // ============================================================================
@@ -772,22 +3018,71 @@ app.get('/api/home/timeline', (_req, res) => {
 // ============================================================================
 
 // GET /api/settings — return current settings (API key masked)
-app.get('/api/settings', (_req, res) => {
+app.get('/api/settings', requireRole('admin'), (_req, res) => {
   res.json({
     success: true,
     pfsenseUrl:    CONFIG.PFSENSE_URL,
     hasApiKey:     !!CONFIG.API_KEY,
+    firewallType:  CONFIG.FIREWALL_TYPE,
+    hasApiSecret:  !!CONFIG.API_SECRET,
     unifiUrl:      CONFIG.UNIFI_URL,
     unifiSite:     CONFIG.UNIFI_SITE,
-    ntfyUrl:       process.env.NTFY_URL || ''
+    unifiControllerUrl: CONFIG.UNIFI_CONTROLLER.url,
+    unifiUsername:      CONFIG.UNIFI_CONTROLLER.username,
+    hasUnifiPassword:   !!CONFIG.UNIFI_CONTROLLER.password,
+    firewallName:  CONFIG.FIREWALL_NAME,
+    ntfyUrl:       process.env.NTFY_URL || '',
+    publicUrl:     CONFIG.PUBLIC_URL,
+    driftPolicy:   CONFIG.DRIFT_POLICY,
+    weeklyReport:  CONFIG.WEEKLY_REPORT,
+    logRetentionDays: CONFIG.LOG_RETENTION_DAYS,
+    ssh: {
+      host:               CONFIG.SSH.host,
+      effectiveHost:      sshHost(),
+      port:               CONFIG.SSH.port,
+      user:               CONFIG.SSH.user,
+      keyPath:            CONFIG.SSH.keyPath,
+      hostKeyChecking:    CONFIG.SSH.hostKeyChecking,
+      hostKeyFingerprint: CONFIG.SSH.hostKey ? sshKeyFingerprint(CONFIG.SSH.hostKey) : null,
+    },
+    stateKillMethods: CONFIG.STATE_KILL.methods,
+    stateKillCommand: CONFIG.STATE_KILL.command
   });
 });
 
 // PUT /api/settings — save settings to settings.json and hot-reload CONFIG
-app.put('/api/settings', (req, res) => {
+app.put('/api/settings', requireRole('admin'), (req, res) => {
   try {
-    const { pfsenseUrl, pfsenseApiKey, unifiUrl, unifiSite, ntfyUrl } = req.body;
+    const { pfsenseUrl, pfsenseApiKey, unifiUrl, unifiSite, ntfyUrl, publicUrl, driftPolicy, weeklyReport, logRetentionDays, firewallName } = req.body;
+    const { firewallType, firewallApiSecret } = req.body;
+    const { unifiControllerUrl, unifiUsername, unifiPassword } = req.body;
     const SENTINEL = '••••••••';
+    if (unifiControllerUrl !== undefined && unifiControllerUrl !== '' && !/^https?:\/\/[^\s/]+/.test(String(unifiControllerUrl).trim())) {
+      return res.status(400).json({ error: 'unifiControllerUrl must be the controller address, e.g. https://192.168.1.1' });
+    }
+    if (firewallType !== undefined && !FIREWALL_TYPES.includes(firewallType)) {
+      return res.status(400).json({ error: `firewallType must be one of: ${FIREWALL_TYPES.join(', ')}` });
+    }
+    const secretSent = firewallApiSecret !== undefined && firewallApiSecret !== SENTINEL && firewallApiSecret !== '';
+    if (firewallType === 'opnsense' && !secretSent && !CONFIG.API_SECRET) {
+      return res.status(400).json({ error: 'The firewall API secret is required for OPNsense' });
+    }
+    if (firewallName !== undefined && firewallNameError(String(firewallName).trim(), DEFAULT_FIREWALL)) {
+      return res.status(400).json({ error: firewallNameError(String(firewallName).trim(), DEFAULT_FIREWALL) });
+    }
+    if (driftPolicy !== undefined && !DRIFT_POLICIES.includes(driftPolicy)) {
+      return res.status(400).json({ error: `driftPolicy must be one of: ${DRIFT_POLICIES.join(', ')}` });
+    }
+    if (logRetentionDays !== undefined && !isValidRetentionDays(logRetentionDays)) {
+      return res.status(400).json({ error: 'logRetentionDays must be a whole number of days from 0 (keep forever) to 3650' });
+    }
+    const sshUpdate = parseSshSettings(req.body);
+    if (sshUpdate.error) return res.status(400).json({ error: sshUpdate.error });
+    const { stateKillMethods, stateKillCommand } = req.body;
+    if (stateKillMethods !== undefined && (!Array.isArray(stateKillMethods) || !stateKillMethods.length ||
+        stateKillMethods.some(m => !STATE_KILL_METHODS.includes(m)) || new Set(stateKillMethods).size !== stateKillMethods.length)) {
+      return res.status(400).json({ error: `stateKillMethods must list one or more of: ${STATE_KILL_METHODS.join(', ')}` });
+    }
 
     // Load existing saved settings to merge (don't wipe unsent fields)
     let saved = {};
@@ -804,6 +3099,14 @@ app.put('/api/settings', (req, res) => {
       saved.pfsenseApiKey = pfsenseApiKey;
       CONFIG.API_KEY = pfsenseApiKey;
     }
+    if (firewallType !== undefined) {
+      saved.firewallType = firewallType;
+      CONFIG.FIREWALL_TYPE = firewallType;
+    }
+    if (secretSent) {
+      saved.firewallApiSecret = firewallApiSecret;
+      CONFIG.API_SECRET = firewallApiSecret;
+    }
     if (unifiUrl !== undefined) {
       saved.unifiUrl = unifiUrl;
       CONFIG.UNIFI_URL = unifiUrl;
@@ -812,43 +3115,824 @@ app.put('/api/settings', (req, res) => {
       saved.unifiSite = unifiSite;
       CONFIG.UNIFI_SITE = unifiSite;
     }
+    if (unifiControllerUrl !== undefined || unifiUsername !== undefined ||
+        (unifiPassword !== undefined && unifiPassword !== SENTINEL && unifiPassword !== '')) {
+      if (unifiControllerUrl !== undefined) CONFIG.UNIFI_CONTROLLER.url = String(unifiControllerUrl).trim().replace(/\/+$/, '');
+      if (unifiUsername !== undefined) CONFIG.UNIFI_CONTROLLER.username = String(unifiUsername).trim();
+      if (unifiPassword !== undefined && unifiPassword !== SENTINEL && unifiPassword !== '') CONFIG.UNIFI_CONTROLLER.password = unifiPassword;
+      saved.unifiController = { ...CONFIG.UNIFI_CONTROLLER };
+      forgetUnifiSession(); // log in again with the new details
+    }
+    if (firewallName !== undefined) {
+      saved.firewallName = String(firewallName).trim();
+      CONFIG.FIREWALL_NAME = saved.firewallName;
+    }
     if (ntfyUrl !== undefined) {
       saved.ntfyUrl = ntfyUrl;
       process.env.NTFY_URL = ntfyUrl;
     }
+    if (publicUrl !== undefined) {
+      saved.publicUrl = publicUrl;
+      CONFIG.PUBLIC_URL = publicUrl;
+    }
+    if (driftPolicy !== undefined) {
+      saved.driftPolicy = driftPolicy;
+      CONFIG.DRIFT_POLICY = driftPolicy;
+    }
+    if (weeklyReport !== undefined) {
+      saved.weeklyReport = !!weeklyReport;
+      CONFIG.WEEKLY_REPORT = !!weeklyReport;
+    }
+    if (logRetentionDays !== undefined) {
+      saved.logRetentionDays = logRetentionDays;
+      CONFIG.LOG_RETENTION_DAYS = logRetentionDays;
+      logPrunedOn = null; // apply a shorter period on the next enforcement pass
+    }
+    if (Object.keys(sshUpdate.ssh).length) {
+      Object.assign(CONFIG.SSH, sshUpdate.ssh);
+      saved.ssh = { ...CONFIG.SSH };
+      writeKnownHosts(); // host or port may have changed
+    }
+    if (stateKillMethods !== undefined || stateKillCommand !== undefined) {
+      if (stateKillMethods !== undefined) CONFIG.STATE_KILL.methods = stateKillMethods;
+      if (stateKillCommand !== undefined) CONFIG.STATE_KILL.command = String(stateKillCommand).trim();
+      saved.stateKill = { ...CONFIG.STATE_KILL };
+    }
 
     saveSettings(saved);
-    logAction('settings-saved', null, 'Settings updated');
+    invalidatePfsenseCache(); // may now point at a different firewall or key
+    logAction('settings-saved', null, 'Settings updated', req.user.username);
     res.json({ success: true, message: 'Settings saved' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
 });
 
+// Validates the sshHost/sshPort/sshUser/sshKeyPath/sshHostKeyChecking fields of
+// a settings body. Returns { ssh: {changed fields} } or { error }.
+// Values are passed to ssh as arguments, so nothing may look like an option.
+function parseSshSettings(body) {
+  const ssh = {};
+  if (body.sshHost !== undefined) {
+    const host = String(body.sshHost).trim();
+    if (host && (!/^[\w.:-]+$/.test(host) || host.startsWith('-'))) return { error: 'SSH host must be a hostname or IP address' };
+    ssh.host = host;
+  }
+  if (body.sshPort !== undefined) {
+    const port = parseInt(body.sshPort, 10);
+    if (!(port >= 1 && port <= 65535)) return { error: 'SSH port must be 1–65535' };
+    ssh.port = port;
+  }
+  if (body.sshUser !== undefined) {
+    if (!/^[a-z_][\w.-]*$/i.test(body.sshUser)) return { error: 'SSH user is not a valid user name' };
+    ssh.user = body.sshUser;
+  }
+  if (body.sshKeyPath !== undefined) {
+    if (!String(body.sshKeyPath).startsWith('/')) return { error: 'SSH key path must be an absolute path' };
+    ssh.keyPath = String(body.sshKeyPath);
+  }
+  if (body.sshHostKeyChecking !== undefined) {
+    if (!SSH_HOST_KEY_MODES.includes(body.sshHostKeyChecking)) {
+      return { error: `sshHostKeyChecking must be one of: ${SSH_HOST_KEY_MODES.join(', ')}` };
+    }
+    ssh.hostKeyChecking = body.sshHostKeyChecking;
+  }
+  return { ssh };
+}
+
+// Saves a firewall profile's SSH settings — CONFIG.SSH for the default profile
+function saveSshSettings(fw = defaultFirewall()) {
+  if (fw.id !== DEFAULT_FIREWALL) return saveFirewalls();
+  let saved = {};
+  try {
+    if (fs.existsSync(SETTINGS_FILE)) saved = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+  } catch (_) {}
+  saved.ssh = { ...CONFIG.SSH };
+  saveSettings(saved);
+}
+
+// Resolves ?firewall= / body.firewall to a profile (the default one when
+// absent), or responds 404 and returns null
+function findFirewallOr404(req, res) {
+  const id = String(req.body?.firewall || req.query.firewall || DEFAULT_FIREWALL);
+  const fw = getFirewall(id);
+  if (!fw) res.status(404).json({ error: `Unknown firewall "${id}"` });
+  return fw;
+}
+
+// POST /api/settings/ssh/scan  body: { firewall? } — host keys the firewall
+// currently offers, to compare against the console before pinning
+app.post('/api/settings/ssh/scan', requireRole('admin'), async (req, res) => {
+  try {
+    const fw = findFirewallOr404(req, res);
+    if (!fw) return;
+    const keys = await scanSshHostKeys(fw);
+    res.json({ success: true, host: knownHostsPattern(fw), keys: keys.map(({ type, fingerprint }) => ({ type, fingerprint })) });
+  } catch (err) {
+    res.status(502).json({ error: 'Could not read host keys', details: err.message });
+  }
+});
+
+// PUT /api/settings/ssh/host-key  body: { fingerprint: "SHA256:...", firewall? }
+// Pins the host key with that fingerprint; strict mode then trusts only it.
+app.put('/api/settings/ssh/host-key', requireRole('admin'), async (req, res) => {
+  try {
+    const fw = findFirewallOr404(req, res);
+    if (!fw) return;
+    const fingerprint = String(req.body.fingerprint || '').trim();
+    if (!fingerprint.startsWith('SHA256:')) return res.status(400).json({ error: 'fingerprint must look like SHA256:...' });
+    let keys;
+    try {
+      keys = await scanSshHostKeys(fw);
+    } catch (err) {
+      return res.status(502).json({ error: 'Could not read host keys', details: err.message });
+    }
+    const match = keys.find(k => k.fingerprint === fingerprint);
+    if (!match) return res.status(409).json({ error: `${sshHost(fw)} did not offer a key with that fingerprint` });
+
+    fw.ssh.hostKey = match.hostKey;
+    saveSshSettings(fw);
+    writeKnownHosts();
+    logAction('ssh-key-pinned', null, `${match.type} ${fingerprint} for ${knownHostsPattern(fw)}`, req.user.username);
+    res.json({ success: true, fingerprint, message: `Pinned ${match.type} host key` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// DELETE /api/settings/ssh/host-key?firewall= — forget the pinned key
+app.delete('/api/settings/ssh/host-key', requireRole('admin'), (req, res) => {
+  try {
+    const fw = findFirewallOr404(req, res);
+    if (!fw) return;
+    fw.ssh.hostKey = null;
+    saveSshSettings(fw);
+    writeKnownHosts();
+    logAction('ssh-key-unpinned', null, `Host key for ${knownHostsPattern(fw)} forgotten`, req.user.username);
+    res.json({ success: true, message: 'Pinned host key removed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/settings/ssh/test  body: { firewall? } — runs a read-only pfctl command
+app.post('/api/settings/ssh/test', requireRole('admin'), async (req, res) => {
+  try {
+    const fw = findFirewallOr404(req, res);
+    if (!fw) return;
+    const { ok, out } = await sshCommand('pfctl -s info', fw);
+    const target = `${fw.ssh.user}@${sshHost(fw)}:${fw.ssh.port}`;
+    if (!ok) return res.status(502).json({ error: `SSH to ${target} failed`, details: out });
+    res.json({ success: true, output: out, message: `SSH to ${target} works` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
 // ============================================================================
-// Device management API — manage IPs in a kid's pfSense alias
+// Firewall profiles API (admin only) — other houses' firewalls. The default
+// profile is edited through the settings above (pfsenseUrl, unifiSite, ssh*,
+// firewallName); these routes manage CONFIG.FIREWALLS.
 // ============================================================================
 
-// Helper: fetch alias for a kid's rule. Returns { aliasName, aliasId, address, ips }
-async function getKidAlias(tracker) {
-  const rulesRes = await pfsenseApiCall('/api/v2/firewall/rules');
+function saveFirewalls() {
+  let saved = {};
+  try {
+    if (fs.existsSync(SETTINGS_FILE)) saved = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+  } catch (_) {}
+  saved.firewalls = CONFIG.FIREWALLS;
+  saveSettings(saved);
+}
+
+// Returns an error string if name is empty, too long or taken by another profile
+function firewallNameError(name, exceptId = null) {
+  if (!name || name.length > 40) return 'name must be 1–40 characters';
+  const taken = allFirewalls().some(fw => fw.id !== exceptId && fw.name.toLowerCase() === name.toLowerCase());
+  return taken ? `A firewall named "${name}" already exists` : null;
+}
+
+// Kids with a block rule on this firewall
+function firewallKids(fw) {
+  return CONFIG.HOME_RULES.filter(kid => kidTargets(kid).some(t => t.fw.id === fw.id));
+}
+
+// API view of a profile — the API key and secret are never returned
+function firewallSummary(fw) {
+  return {
+    id: fw.id, name: fw.name, type: fw.type || 'pfsense', url: fw.url, hasApiKey: !!fw.apiKey, hasApiSecret: !!fw.apiSecret, unifiSite: fw.unifiSite,
+    isDefault: fw.id === DEFAULT_FIREWALL,
+    ssh: {
+      host: fw.ssh.host, effectiveHost: sshHost(fw), port: fw.ssh.port, user: fw.ssh.user,
+      keyPath: fw.ssh.keyPath, hostKeyChecking: fw.ssh.hostKeyChecking,
+      hostKeyFingerprint: fw.ssh.hostKey ? sshKeyFingerprint(fw.ssh.hostKey) : null,
+    },
+    kids: firewallKids(fw).map(k => k.name),
+  };
+}
+
+// Validates name/type/url/apiKey/apiSecret/unifiSite plus the ssh* fields of a
+// profile body. Returns { fields, ssh } with only what was sent, or { error }.
+// isNew requires name, url and apiKey (and apiSecret for OPNsense).
+function parseFirewall(body, id = null) {
+  const isNew = id === null;
+  const fields = {};
+  if (isNew || body.type !== undefined) {
+    const type = body.type === undefined ? 'pfsense' : body.type;
+    if (!FIREWALL_TYPES.includes(type)) return { error: `type must be one of: ${FIREWALL_TYPES.join(', ')}` };
+    fields.type = type;
+  }
+  if (isNew || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    const nameError = firewallNameError(name, id);
+    if (nameError) return { error: nameError };
+    fields.name = name;
+  }
+  if (isNew || body.url !== undefined) {
+    const url = String(body.url || '').trim().replace(/\/+$/, '');
+    if (!/^https?:\/\/[^\s/]+/.test(url)) return { error: 'url must be the firewall address, e.g. https://192.168.1.1' };
+    fields.url = url;
+  }
+  // Like pfsenseApiKey in settings, an empty or placeholder key leaves the saved one
+  if (body.apiKey !== undefined && body.apiKey !== '' && body.apiKey !== '••••••••') fields.apiKey = String(body.apiKey);
+  if (isNew && !fields.apiKey) return { error: 'apiKey is required' };
+  if (body.apiSecret !== undefined && body.apiSecret !== '' && body.apiSecret !== '••••••••') fields.apiSecret = String(body.apiSecret);
+  if (isNew && fields.type === 'opnsense' && !fields.apiSecret) return { error: 'apiSecret is required for OPNsense' };
+  if (isNew || body.unifiSite !== undefined) fields.unifiSite = String(body.unifiSite || '').trim() || 'default';
+  const sshUpdate = parseSshSettings(body);
+  if (sshUpdate.error) return { error: sshUpdate.error };
+  return { fields, ssh: sshUpdate.ssh };
+}
+
+// Resolves :id to one of CONFIG.FIREWALLS, or responds and returns null.
+// The default profile lives in the main settings and can't be edited here.
+function findExtraFirewallOr404(req, res) {
+  if (req.params.id === DEFAULT_FIREWALL) {
+    res.status(400).json({ error: 'The default firewall is edited in the main settings' });
+    return null;
+  }
+  const fw = CONFIG.FIREWALLS.find(f => f.id === req.params.id);
+  if (!fw) res.status(404).json({ error: 'Firewall not found' });
+  return fw || null;
+}
+
+// GET /api/firewalls — every profile, default first
+app.get('/api/firewalls', requireRole('admin'), (_req, res) => {
+  res.json({ success: true, firewalls: allFirewalls().map(firewallSummary) });
+});
+
+// POST /api/firewalls  body: { name, type?, url, apiKey, apiSecret?, unifiSite?, sshHost?, sshPort?, ... }
+// SSH settings not sent are copied from the default firewall's.
+app.post('/api/firewalls', requireRole('admin'), (req, res) => {
+  try {
+    const { error, fields, ssh } = parseFirewall(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const base = fields.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'firewall';
+    let id = base;
+    for (let n = 2; getFirewall(id); n++) id = `${base}-${n}`;
+
+    const fw = {
+      id, ...fields,
+      ssh: { ...CONFIG.SSH, host: '', hostKey: null, ...ssh },
+    };
+    CONFIG.FIREWALLS.push(fw);
+    saveFirewalls();
+    logAction('firewall-add', null, `${fw.name} (${firewallAdapter(fw).label} at ${fw.url}, UniFi site ${fw.unifiSite})`, req.user.username);
+    res.json({ success: true, firewall: firewallSummary(fw), message: `${fw.name} added` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/firewalls/:id  body: any of the POST fields
+app.put('/api/firewalls/:id', requireRole('admin'), (req, res) => {
+  try {
+    const fw = findExtraFirewallOr404(req, res);
+    if (!fw) return;
+    const { error, fields, ssh } = parseFirewall(req.body || {}, fw.id);
+    if (error) return res.status(400).json({ error });
+    if ((fields.type || fw.type) === 'opnsense' && !(fields.apiSecret || fw.apiSecret)) {
+      return res.status(400).json({ error: 'apiSecret is required for OPNsense' });
+    }
+
+    Object.assign(fw, fields);
+    Object.assign(fw.ssh, ssh);
+    saveFirewalls();
+    writeKnownHosts(); // host or port may have changed
+    invalidatePfsenseCache(); // may now point at a different firewall or key
+    logAction('firewall-update', null, `${fw.name} (${firewallAdapter(fw).label} at ${fw.url}, UniFi site ${fw.unifiSite})`, req.user.username);
+    notifyStateChange();
+    res.json({ success: true, firewall: firewallSummary(fw), message: `${fw.name} saved` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// DELETE /api/firewalls/:id — refused while kids still have rules mapped there
+app.delete('/api/firewalls/:id', requireRole('admin'), (req, res) => {
+  try {
+    const fw = findExtraFirewallOr404(req, res);
+    if (!fw) return;
+    const kids = firewallKids(fw);
+    if (kids.length) {
+      return res.status(409).json({ error: `${fw.name} is still used by ${kids.map(k => k.name).join(', ')} — remap them first` });
+    }
+    CONFIG.FIREWALLS = CONFIG.FIREWALLS.filter(f => f !== fw);
+    saveFirewalls();
+    writeKnownHosts();
+    invalidatePfsenseCache();
+    logAction('firewall-remove', null, fw.name, req.user.username);
+    res.json({ success: true, message: `${fw.name} removed` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// Diagnostics API (admin only) — probes pfSense, UniFi, SSH and ntfy live and
+// reports each alongside the outcome of the app's own recent calls, plus
+// whether every kid's tracker and alias still resolve.
+// ============================================================================
+
+// Runs probe() and times it. probe resolves { detail } or throws.
+async function runProbe(name, configured, probe) {
+  const result = { name, configured, ok: null, latencyMs: null, detail: null, error: null };
+  if (configured) {
+    const startedAt = Date.now();
+    try {
+      result.detail = (await probe()).detail;
+      result.ok = true;
+    } catch (err) {
+      result.ok = false;
+      result.error = err.message;
+    }
+    result.latencyMs = Date.now() - startedAt;
+  }
+  const { lastSuccess = null, lastError = null, lastErrorAt = null } = dependencyHealth[name] || {};
+  return { ...result, lastSuccess, lastError, lastErrorAt };
+}
+
+// Per-kid check that the block rule exists and its source resolves to
+// addresses, once per firewall the kid is on. fwData: firewall id →
+// { allRules, aliases } as read by the probes (missing when unreachable).
+function kidDiagnostics(fwData) {
+  return CONFIG.HOME_RULES.flatMap(kid => kidTargets(kid).map(({ fw, tracker }) => {
+    const { allRules = null, aliases = null } = fwData.get(fw.id) || {};
+    const rule = allRules && allRules.find(r => r.tracker === tracker);
+    const source = ruleSourceAddr(rule);
+    const result = {
+      tracker, name: kid.name, firewall: CONFIG.FIREWALLS.length ? fw.name : null,
+      ruleFound: allRules ? !!rule : null,
+      interface: rule ? [].concat(rule.interface || []).join(',') : null,
+      source, aliasFound: null, ips: null, problem: null,
+    };
+    if (!allRules) return result;
+    if (!rule) return { ...result, problem: `Block rule not found on ${firewallLabel(fw)}` };
+    if (!source) return { ...result, problem: 'Block rule has no source address' };
+    if (isIpOrCidr(source)) return { ...result, ips: 1 };
+    if (!aliases) return result;
+    const alias = aliases.find(a => a.name === source);
+    if (!alias) return { ...result, aliasFound: false, problem: `Alias "${source}" not found` };
+    const { ips } = getAliasEntries(alias);
+    return { ...result, aliasFound: true, ips: ips.length, problem: ips.length ? null : `Alias "${source}" is empty` };
+  }));
+}
+
+// GET /api/diagnostics — pfSense and SSH are probed on every firewall profile
+app.get('/api/diagnostics', requireRole('admin'), async (_req, res) => {
+  try {
+    const fwData = new Map();
+    const ntfyUrl = process.env.NTFY_URL;
+    const named = (fw, probe) => probe.then(r => ({ ...r, firewall: CONFIG.FIREWALLS.length ? fw.name : null }));
+    const [defaultFw, ...otherFws] = allFirewalls();
+    const probePfsense = fw => named(fw, runProbe(healthKey('pfsense', fw), !!fw.apiKey, async () => {
+      const rulesRes = await firewallAdapter(fw).listRules(fw);
+      if (rulesRes.error) throw new Error(pfsenseErrorText(rulesRes));
+      const allRules = rulesRes.data || [];
+      fwData.set(fw.id, { allRules });
+      const aliasesRes = await firewallAdapter(fw).listAliases(fw);
+      if (aliasesRes.error) throw new Error(`Aliases: ${pfsenseErrorText(aliasesRes)}`);
+      const aliases = aliasesRes.data;
+      fwData.set(fw.id, { allRules, aliases });
+      return { detail: `${allRules.length} rules, ${aliases.length} aliases` };
+    }));
+    const probeSsh = fw => named(fw, runProbe(healthKey('ssh', fw), true, async () => {
+      const { ok, out } = await sshCommand('pfctl -s info', fw);
+      if (!ok) throw new Error(out || 'SSH command failed');
+      return { detail: out.split('\n')[0] };
+    })).then(r => ({ ...r, warning: sshHostKeyWarning(fw) }));
+    const sites = [...new Set(allFirewalls().map(fw => fw.unifiSite))];
+
+    const [pfsense, unifi, ssh, ntfy, ...others] = await Promise.all([
+      probePfsense(defaultFw),
+      runProbe('unifi', unifiConfigured(), async () => {
+        const counts = [];
+        for (const site of sites) {
+          const cr = await unifiListClients(site);
+          if (cr.error) throw new Error(cr.message);
+          counts.push(`${cr.length} clients online (site ${site})`);
+        }
+        return { detail: `${CONFIG.UNIFI_CONTROLLER.url ? 'Controller' : 'Dashboard'}: ${counts.join(', ')}` };
+      }),
+      probeSsh(defaultFw),
+      // ntfy's /v1/health — checks the server without posting to the topic
+      runProbe('ntfy', !!ntfyUrl, async () => {
+        const healthUrl = new URL('/v1/health', ntfyUrl);
+        const r = await fetch(healthUrl.toString(), { timeout: 5000 });
+        if (!r.ok) throw new Error(`HTTP ${r.status} from ${healthUrl.origin}`);
+        return { detail: `${healthUrl.origin} reachable` };
+      }),
+      ...otherFws.flatMap(fw => [probePfsense(fw), probeSsh(fw)]),
+    ]);
+
+    res.json({
+      success: true,
+      checkedAt: Date.now(),
+      dependencies: [pfsense, unifi, ssh, ntfy, ...others],
+      kids: kidDiagnostics(fwData),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/diagnostics/test-notification — sends a real ntfy message
+app.post('/api/diagnostics/test-notification', requireRole('admin'), async (req, res) => {
+  try {
+    if (!process.env.NTFY_URL) return res.status(400).json({ error: 'ntfy URL is not configured' });
+    const sent = await sendNotif('Test notification', `Sent from Kids Internet settings by ${req.user.username}`);
+    if (!sent) return res.status(502).json({ error: 'ntfy did not accept the message', details: dependencyHealth.ntfy.lastError });
+    res.json({ success: true, message: 'Test notification sent' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// Kid roster API — add, rename, reorder and remove kids (admin only).
+// The roster is saved to settings.json as homeRules; order is display order.
+// ============================================================================
+
+function saveRoster() {
+  let saved = {};
+  try {
+    if (fs.existsSync(SETTINGS_FILE)) saved = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+  } catch (_) {}
+  saved.homeRules = CONFIG.HOME_RULES;
+  saveSettings(saved);
+}
+
+// Returns an error string if name is empty, too long or taken by another kid.
+// Names must be unique: the action log and timelines refer to kids by name.
+function kidNameError(name, exceptTracker = null) {
+  if (!name || name.length > 30) return 'name must be 1–30 characters';
+  const taken = CONFIG.HOME_RULES.some(r => r.tracker !== exceptTracker && r.name.toLowerCase() === name.toLowerCase());
+  return taken ? `A kid named "${name}" already exists` : null;
+}
+
+// True when the rule with this tracker on fw already belongs to a kid
+function trackerAssigned(fw, tracker) {
+  return CONFIG.HOME_RULES.some(k => kidTargets(k).some(t => t.fw.id === fw.id && t.tracker === tracker));
+}
+
+// Adds a kid to the roster and seeds their schedule and known-MACs entries.
+// A rule on another house's firewall becomes the kid's firewall mapping.
+function registerKid(name, tracker, fw = defaultFirewall()) {
+  const kid = { tracker, name };
+  if (fw.id !== DEFAULT_FIREWALL) kid.firewalls = [{ profile: fw.id, tracker }];
+  CONFIG.HOME_RULES.push(kid);
+  saveRoster();
+
+  const key = String(tracker);
+  if (!scheduleConfig[key]) {
+    scheduleConfig[key] = { enabled: false, windows: [] };
+    saveSchedules();
+  }
+  if (!kidKnownMacs.has(tracker)) {
+    kidKnownMacs.set(tracker, new Set());
+    saveKnownMacs();
+  }
+  return kid;
+}
+
+// GET /api/kids — roster in display order
+app.get('/api/kids', (_req, res) => {
+  res.json({ success: true, kids: CONFIG.HOME_RULES });
+});
+
+// GET /api/kids/available-rules?firewall= — that firewall's rules not yet
+// assigned to a kid, for the add form
+app.get('/api/kids/available-rules', requireRole('admin'), async (req, res) => {
+  try {
+    const fw = findFirewallOr404(req, res);
+    if (!fw) return;
+    const rulesRes = await getFirewallRules(fw);
+    if (rulesRes.error) return res.status(500).json({ error: 'Failed to fetch rules', details: rulesRes.message });
+    const allRules = rulesRes.data || [];
+    const rules = allRules
+      .filter(r => r.tracker && !trackerAssigned(fw, r.tracker))
+      .map(r => ({ tracker: r.tracker, descr: r.descr || '', interface: r.interface, source: ruleSourceAddr(r), type: r.type }));
+    // Interfaces already carrying kids' rules come first — the usual pick when provisioning
+    const kidIfaces = allRules.filter(r => trackerAssigned(fw, r.tracker)).flatMap(r => [].concat(r.interface || []));
+    const interfaces = [...new Set([...kidIfaces, ...allRules.flatMap(r => [].concat(r.interface || []))])];
+    res.json({ success: true, rules, interfaces });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/kids  body: { name, tracker, firewall? } — tracker of the kid's
+// block rule on that firewall (the default one when omitted)
+app.post('/api/kids', requireRole('admin'), async (req, res) => {
+  try {
+    const fw = findFirewallOr404(req, res);
+    if (!fw) return;
+    const name = String(req.body.name || '').trim();
+    const tracker = parseInt(req.body.tracker, 10);
+    const nameError = kidNameError(name);
+    if (nameError) return res.status(400).json({ error: nameError });
+    if (!tracker) return res.status(400).json({ error: 'tracker must be a firewall rule tracker ID' });
+    if (CONFIG.HOME_RULES.some(r => r.tracker === tracker) || trackerAssigned(fw, tracker)) {
+      return res.status(409).json({ error: `Tracker ${tracker} is already assigned to a kid` });
+    }
+
+    const rulesRes = await getFirewallRules(fw);
+    if (rulesRes.error) return res.status(500).json({ error: 'Failed to fetch rules', details: rulesRes.message });
+    const blockRule = (rulesRes.data || []).find(r => r.tracker === tracker);
+    if (!blockRule) return res.status(400).json({ error: `No rule with tracker ${tracker} on ${fw.name}` });
+
+    const kid = registerKid(name, tracker, fw);
+    logAction('kid-add', name,
+      `Tracker ${tracker}${fw.id === DEFAULT_FIREWALL ? '' : ` on ${fw.name}`} (${blockRule.descr || ruleSourceAddr(blockRule) || 'no description'})`, req.user.username);
+    res.json({ success: true, kid, message: `${name} added` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/kids/provision  body: { name, interface, ips: [ip, ...], aliasName?, firewall? }
+// Creates (or extends) the kid's host alias, adds a disabled block rule for it
+// at the top of the interface, applies, and adds the kid using the new tracker.
+// If the rule can't be created, an alias made by this call is deleted again.
+app.post('/api/kids/provision', requireRole('admin'), async (req, res) => {
+  try {
+    const fw = findFirewallOr404(req, res);
+    if (!fw) return;
+    const adapter = firewallAdapter(fw);
+    const name  = String(req.body.name || '').trim();
+    const iface = String(req.body.interface || '').trim();
+    const ips   = (Array.isArray(req.body.ips) ? req.body.ips : []).map(ip => String(ip).trim()).filter(Boolean);
+    const aliasName = String(req.body.aliasName || `${name.replace(/[^A-Za-z0-9_]+/g, '_')}_Devices`).slice(0, 31);
+
+    const nameError = kidNameError(name);
+    if (nameError) return res.status(400).json({ error: nameError });
+    if (!/^[A-Za-z0-9_.]+$/.test(iface)) return res.status(400).json({ error: 'interface is required (e.g. opt2)' });
+    if (!ips.length) return res.status(400).json({ error: 'At least one device IP is required' });
+    const badIp = ips.find(ip => !/^[\d.:\/]+$/.test(ip));
+    if (badIp) return res.status(400).json({ error: `Invalid IP address: ${badIp}` });
+    if (!/^[A-Za-z0-9_]+$/.test(aliasName)) return res.status(400).json({ error: 'aliasName may only contain letters, digits and _' });
+
+    // Alias: extend an existing one (same PATCH as the device routes) or create it
+    const aliasesRes = await getFirewallAliases(fw);
+    if (aliasesRes.error) return res.status(500).json({ error: 'Failed to fetch aliases', details: aliasesRes.message });
+    const existing = (aliasesRes.data || []).find(a => a.name === aliasName);
+    let createdAliasId = null;
+    let restoreAlias = null;  // { aliasId, address } to put back if the rule can't be made
+    if (existing) {
+      const { aliasId, address, ips: current } = getAliasEntries(existing);
+      const added = ips.filter(ip => !current.includes(ip));
+      if (added.length) {
+        const newAddress = aliasAddressWith(address, added);
+        const patchRes = await adapter.updateAlias(fw, aliasId, newAddress);
+        if (patchRes.error) return res.status(500).json({ error: 'Failed to update alias', details: patchRes.message });
+        restoreAlias = { aliasId, address };
+      }
+    } else {
+      const aliasRes = await adapter.createAlias(fw, { name: aliasName, address: ips, descr: `Kids Internet — ${name}'s devices` });
+      if (aliasRes.error) return res.status(500).json({ error: 'Failed to create alias', details: aliasRes.message });
+      createdAliasId = aliasRes.data?.id ?? null;
+    }
+
+    // Block rule starts disabled (= kid allowed), above the interface's pass rules
+    const ruleRes = await adapter.createBlockRule(fw, { iface, source: aliasName, descr: `Kids Internet — block ${name}` });
+    const tracker = ruleRes.data?.tracker;
+    if (ruleRes.error || !tracker) {
+      if (createdAliasId !== null) await adapter.deleteAlias(fw, createdAliasId);
+      if (restoreAlias) {
+        const undoRes = await adapter.updateAlias(fw, restoreAlias.aliasId, restoreAlias.address);
+        if (undoRes.error) console.error(`Failed to restore alias ${aliasName}:`, undoRes.message);
+      }
+      return res.status(500).json({ error: 'Failed to create block rule', details: ruleRes.message || 'No tracker returned' });
+    }
+    await adapter.apply(fw);
+
+    const kid = registerKid(name, tracker, fw);
+    const where = fw.id === DEFAULT_FIREWALL ? iface : `${fw.name} ${iface}`;
+    logAction('kid-provision', name,
+      `Alias ${aliasName} (${ips.join(', ')})${existing ? ' extended' : ' created'}, block rule ${tracker} on ${where}`, req.user.username);
+    res.json({ success: true, kid, aliasName, message: `${name} provisioned on ${where}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/kids/order  body: { trackers: [tracker, ...] } — every kid, in the new order
+app.put('/api/kids/order', requireRole('admin'), (req, res) => {
+  try {
+    const trackers = (Array.isArray(req.body.trackers) ? req.body.trackers : []).map(Number);
+    const current = CONFIG.HOME_RULES.map(r => r.tracker);
+    if (trackers.length !== current.length || new Set(trackers).size !== trackers.length ||
+        !trackers.every(t => current.includes(t))) {
+      return res.status(400).json({ error: 'trackers must list every kid exactly once' });
+    }
+    CONFIG.HOME_RULES = trackers.map(t => CONFIG.HOME_RULES.find(r => r.tracker === t));
+    saveRoster();
+    res.json({ success: true, kids: CONFIG.HOME_RULES, message: 'Order saved' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/kids/:tracker  body: { name } — rename. Earlier log entries keep the old
+// name; the kid-rename entry records it, so today's timeline and budget carry over.
+app.put('/api/kids/:tracker', requireRole('admin'), (req, res) => {
+  try {
+    const tracker = parseInt(req.params.tracker, 10);
+    const kid = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!kid) return res.status(404).json({ error: 'Kid not found' });
+    const name = String(req.body.name || '').trim();
+    const nameError = kidNameError(name, tracker);
+    if (nameError) return res.status(400).json({ error: nameError });
+
+    const oldName = kid.name;
+    kid.name = name;
+    saveRoster();
+
+    // Running timers and pending requests carry the name for log entries
+    const timer = activeTimers.get(tracker);
+    if (timer) {
+      timer.kidName = name;
+      saveTimers();
+    }
+    for (const r of Object.values(timeRequests)) {
+      if (r.tracker === tracker) r.kidName = name;
+    }
+    saveTimeRequests();
+
+    logAction('kid-rename', name, `Renamed from ${oldName}`, req.user.username, { from: oldName });
+    res.json({ success: true, kid, message: `${oldName} renamed to ${name}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/kids/:tracker/firewalls  body: { firewalls: [{ profile, tracker }, ...] }
+// Which firewalls carry the kid's block rule, each with that rule's tracker
+// there. Every rule must exist. An empty list puts the kid back on the default
+// firewall under their own tracker.
+app.put('/api/kids/:tracker/firewalls', requireRole('admin'), async (req, res) => {
+  try {
+    const tracker = parseInt(req.params.tracker, 10);
+    const kid = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!kid) return res.status(404).json({ error: 'Kid not found' });
+    const list = req.body?.firewalls;
+    if (!Array.isArray(list)) return res.status(400).json({ error: 'firewalls must be a list of { profile, tracker }' });
+
+    const mapping = [];
+    for (const entry of list) {
+      const fw = getFirewall(String(entry?.profile || ''));
+      const ruleTracker = parseInt(entry?.tracker, 10);
+      if (!fw) return res.status(400).json({ error: `Unknown firewall "${entry?.profile}"` });
+      if (!ruleTracker) return res.status(400).json({ error: `tracker for ${fw.name} must be a rule tracker ID` });
+      if (mapping.some(m => m.profile === fw.id)) return res.status(400).json({ error: `${fw.name} is listed twice` });
+      const owner = CONFIG.HOME_RULES.find(k => k !== kid && kidTargets(k).some(t => t.fw.id === fw.id && t.tracker === ruleTracker));
+      if (owner) return res.status(409).json({ error: `Tracker ${ruleTracker} on ${fw.name} belongs to ${owner.name}` });
+      mapping.push({ profile: fw.id, tracker: ruleTracker });
+    }
+
+    const targets = mapping.length ? mapping : [{ profile: DEFAULT_FIREWALL, tracker }];
+    const rulesByFw = await getRulesByFirewall(targets.map(t => getFirewall(t.profile)));
+    for (const t of targets) {
+      const { fw, rules, error } = rulesByFw.get(t.profile);
+      if (error) return res.status(502).json({ error: `Failed to fetch rules from ${fw.name}`, details: error });
+      if (!rules.some(r => r.tracker === t.tracker)) return res.status(400).json({ error: `No rule with tracker ${t.tracker} on ${fw.name}` });
+    }
+
+    if (mapping.length) kid.firewalls = mapping;
+    else delete kid.firewalls;
+    saveRoster();
+    const described = targets.map(t => `${getFirewall(t.profile).name} ${t.tracker}`).join(', ');
+    logAction('kid-firewalls', kid.name, `Block rules: ${described}`, req.user.username);
+    notifyStateChange();
+    res.json({ success: true, kid, message: `${kid.name} now uses ${described}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// DELETE /api/kids/:tracker — removes the kid from the app. Their block rules
+// are enabled first, since nothing enforces them once the kid is gone — an
+// allowed kid (timer or not) that can't be re-blocked everywhere is refused
+// with 409. The rules themselves stay. Drops their timers, schedule, group
+// memberships and MACs.
+app.delete('/api/kids/:tracker', requireRole('admin'), async (req, res) => {
+  try {
+    const tracker = parseInt(req.params.tracker, 10);
+    const kid = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!kid) return res.status(404).json({ error: 'Kid not found' });
+
+    const blockRes = await setKidsAllowed([kid], false);
+    const blockError = blockRes.error ? blockRes.message : blockRes.failed.map(f => `${f.fw.name}: ${f.error}`).join('; ');
+    if (blockError) {
+      return res.status(409).json({ error: `${kid.name} could not be blocked, so was not removed`, details: blockError });
+    }
+    if (blockRes.succeeded.length) {
+      logAction('toggle-block', kid.name, 'Blocked before removal from the app', req.user.username);
+    }
+
+    CONFIG.HOME_RULES = CONFIG.HOME_RULES.filter(r => r !== kid);
+    saveRoster();
+
+    const timer = activeTimers.get(tracker);
+    if (timer) clearTimeout(timer.timeoutId);
+    activeTimers.delete(tracker);
+    activeSkips.delete(tracker);
+    driftHolds.delete(tracker);
+    saveTimers();
+
+    delete scheduleConfig[String(tracker)];
+    saveSchedules();
+
+    for (const g of kidGroups) g.members = g.members.filter(t => t !== tracker);
+    saveGroups();
+
+    scheduleExceptions = scheduleExceptions
+      .map(ex => ex.kids === 'all' ? ex : { ...ex, kids: ex.kids.filter(t => t !== tracker) })
+      .filter(ex => ex.kids === 'all' || ex.kids.length);
+    saveScheduleExceptions();
+
+    for (const r of Object.values(timeRequests)) {
+      if (r.tracker === tracker && r.status === 'pending') Object.assign(r, { status: 'expired', resolvedAt: Date.now() });
+    }
+    saveTimeRequests();
+
+    kidKnownMacs.delete(tracker);
+    forgetBlockedMacs(tracker);
+    saveKnownMacs();
+    saveBlockedMacs();
+    forgetDeviceIps(tracker);
+
+    // Passed explicitly: the kid is no longer in HOME_RULES for logAction to look up
+    logAction('kid-remove', kid.name, `Tracker ${tracker} removed from the app`, req.user.username, { tracker });
+    res.json({ success: true, message: `${kid.name} removed` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// Device management API — manage IPs in a kid's pfSense alias. A kid on
+// several firewalls has one alias per firewall; ?firewall= (or body.firewall)
+// picks which, defaulting to their first.
+// ============================================================================
+
+// The kid's { fw, tracker } picked by the request, or null if they have no rule there
+function kidTargetFor(kid, req) {
+  const id = req.body?.firewall || req.query.firewall;
+  const targets = kidTargets(kid);
+  return (id ? targets.find(t => t.fw.id === id) : targets[0]) || null;
+}
+
+// Helper: fetch alias for a kid's rule on one firewall. Returns { aliasName, aliasId, address, ips, ruleInterface }
+async function getKidAlias({ fw, tracker }) {
+  const rulesRes = await getFirewallRules(fw);
   if (rulesRes.error) throw new Error('Failed to fetch pfSense rules');
   const rule = (rulesRes.data || []).find(r => r.tracker === tracker);
   if (!rule) throw new Error(`Rule not found for tracker ${tracker}`);
   const aliasName = ruleSourceAddr(rule);
   if (!aliasName || isIpOrCidr(aliasName)) throw new Error('Rule source is not an alias name');
 
-  const aliasesRes = await pfsenseApiCall('/api/v2/firewall/aliases');
+  const aliasesRes = await getFirewallAliases(fw);
   if (aliasesRes.error) throw new Error('Failed to fetch pfSense aliases');
   const aliases = Array.isArray(aliasesRes.data) ? aliasesRes.data : [aliasesRes.data];
   const alias = aliases.find(a => a.name === aliasName);
   if (!alias) throw new Error(`Alias "${aliasName}" not found`);
+  return { aliasName, ...getAliasEntries(alias), ruleInterface: [].concat(rule.interface || [])[0] || null };
+}
 
-  // address may be strings or {address: "ip"} objects
+// Normalises a pfSense alias into { aliasId, address, ips }.
+// address may be strings or {address: "ip"} objects; it is kept as-is for PATCHes.
+function getAliasEntries(alias) {
   const raw = alias.address ?? alias.entries ?? alias.content ?? [];
   const entries = Array.isArray(raw) ? raw : String(raw).split(/\s+/).filter(Boolean);
   const ips = entries.map(e => (typeof e === 'string' ? e : e.address)).filter(Boolean);
-  return { aliasName, aliasId: alias.id, address: entries, ips };
+  return { aliasId: alias.id, address: entries, ips };
+}
+
+// address with ips appended, in the entry form the alias already uses
+function aliasAddressWith(address, ips) {
+  return typeof address[0] === 'string' || !address.length
+    ? [...address, ...ips]
+    : [...address, ...ips.map(ip => ({ address: ip }))];
 }
 
 // GET /api/kids/:tracker/devices — list IPs in kid's pfSense alias
@@ -857,14 +3941,20 @@ app.get('/api/kids/:tracker/devices', async (req, res) => {
     const tracker = parseInt(req.params.tracker, 10);
     const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     if (!configRule) return res.status(404).json({ error: 'Kid not found' });
-    const { aliasName, ips } = await getKidAlias(tracker);
-    res.json({ success: true, name: configRule.name, aliasName, ips });
+    const target = kidTargetFor(configRule, req);
+    if (!target) return res.status(404).json({ error: `${configRule.name} has no rule on that firewall` });
+    const { aliasName, ips } = await getKidAlias(target);
+    res.json({ success: true, name: configRule.name, firewall: target.fw.id, aliasName, ips });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/kids/:tracker/devices — add an IP to kid's pfSense alias
+// POST /api/kids/:tracker/devices  body: { ip, mac? } — add an IP to kid's pfSense alias.
+// The alias comes first; the device is then reserved there when its MAC is known
+// (mac given, or a current DHCP lease holds the address — see reserveKidDevice).
+// The reservation is best effort: reserved is its MAC or null, and reservationError
+// says why it wasn't made (the firewall refuses addresses inside the dynamic pool).
 app.post('/api/kids/:tracker/devices', async (req, res) => {
   try {
     const tracker = parseInt(req.params.tracker, 10);
@@ -872,60 +3962,134 @@ app.post('/api/kids/:tracker/devices', async (req, res) => {
     if (!configRule) return res.status(404).json({ error: 'Kid not found' });
     const ip = (req.body.ip || '').trim();
     if (!ip || !/^[\d.:\/]+$/.test(ip)) return res.status(400).json({ error: 'Invalid IP address' });
-
-    const { aliasName, aliasId, address, ips } = await getKidAlias(tracker);
+    let mac = req.body.mac ? normaliseMac(req.body.mac) : null;
+    if (req.body.mac && !mac) return res.status(400).json({ error: 'mac must be a MAC address' });
+    // Only single IPv4 addresses can be reserved; ranges and IPv6 go in as they are
+    const single = /^\d+\.\d+\.\d+\.\d+$/.test(ip);
+    if (mac && !single) return res.status(400).json({ error: 'Only a single IPv4 address can be reserved for a MAC' });
+    const target = kidTargetFor(configRule, req);
+    if (!target) return res.status(404).json({ error: `${configRule.name} has no rule on that firewall` });
+
+    const { aliasName, aliasId, address, ips } = await getKidAlias(target);
     if (ips.includes(ip)) return res.status(409).json({ error: 'IP already in alias' });
+    const where = CONFIG.FIREWALLS.length ? ` on ${target.fw.name}` : '';
+    const adapter = firewallAdapter(target.fw);
+
+    // A lease only names the device while it is current — an expired one may
+    // be for whoever had the address before
+    let lease = null;
+    if (single) {
+      const leasesRes = await adapter.listLeases(target.fw);
+      const leases = leasesRes.error ? [] : leasesRes.data;
+      lease = mac ? currentLease(leases, mac)
+        : leases.find(l => l.ip === ip && l.mac && currentLease(leases, l.mac) === l) || null;
+      mac = mac || lease?.mac || null;
+    }
+    if (mac) {
+      const owner = CONFIG.HOME_RULES.find(k => k.tracker !== tracker && kidKnownMacs.get(k.tracker)?.has(mac));
+      if (owner) return res.status(409).json({ error: `${ip} belongs to ${mac}, one of ${owner.name}'s devices` });
+    }
 
-    // Append new entry preserving original format
-    const newAddress = typeof address[0] === 'string' || !address.length
-      ? [...address, ip]
-      : [...address, { address: ip }];
-
-    const updateRes = await pfsenseApiCall('/api/v2/firewall/alias', 'PATCH', { id: aliasId, address: newAddress });
+    const updateRes = await adapter.updateAlias(target.fw, aliasId, aliasAddressWith(address, [ip]));
     if (updateRes.error) return res.status(500).json({ error: 'Failed to update alias', details: updateRes.message });
-    await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-    logAction('device-add', configRule.name, `Added ${ip} to ${aliasName}`);
-    res.json({ success: true, aliasName, ips: [...ips, ip] });
+    await adapter.apply(target.fw);
+
+    let reserved = null;
+    let note = mac ? '' : ' (no device holds it, so nothing was reserved)';
+    let reservationError = null;
+    if (mac) {
+      const hostname = dhcpHostname(lease?.hostname);
+      const result = await reserveKidDevice(configRule, target, { mac, ip, hostname, iface: lease?.interface });
+      if (result.error) {
+        // Still the kid's device — reconciliation tracks it from the alias
+        learnMacs(tracker, [mac]);
+        reservationError = result.details ? `${result.error}: ${result.details}` : result.error;
+        note = ` — not reserved for ${hostname || mac} (${reservationError})`;
+      } else {
+        reserved = mac;
+        note = `, reserved for ${hostname || mac} (${mac})`;
+      }
+    }
+    logAction('device-add', configRule.name, `Added ${ip} to ${aliasName}${where}${note}`, req.user.username);
+    const { ips: updated } = reserved ? await getKidAlias(target) : { ips: [...ips, ip] };
+    res.json({ success: true, aliasName, ips: updated, reserved, reservationError, message: `Added ${ip}${note}` });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// DELETE /api/kids/:tracker/devices/:ip — remove an IP from kid's pfSense alias
+// DELETE /api/kids/:tracker/devices/:ip — remove an IP from kid's pfSense alias,
+// along with its static mapping when that is one of the kid's devices. A mapping
+// for someone else's MAC, or one that couldn't be deleted, is kept and the
+// response says so (reservation: 'removed' | 'kept' | null).
 app.delete('/api/kids/:tracker/devices/:ip', async (req, res) => {
   try {
     const tracker = parseInt(req.params.tracker, 10);
     const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     if (!configRule) return res.status(404).json({ error: 'Kid not found' });
     const ip = req.params.ip;
+    const target = kidTargetFor(configRule, req);
+    if (!target) return res.status(404).json({ error: `${configRule.name} has no rule on that firewall` });
 
-    const { aliasName, aliasId, address, ips } = await getKidAlias(tracker);
+    const { aliasName, aliasId, address, ips } = await getKidAlias(target);
     if (!ips.includes(ip)) return res.status(404).json({ error: 'IP not found in alias' });
     if (ips.length <= 1) return res.status(400).json({ error: 'Cannot remove last IP from alias' });
 
     const newAddress = address.filter(e => (typeof e === 'string' ? e : e.address) !== ip);
-    const updateRes = await pfsenseApiCall('/api/v2/firewall/alias', 'PATCH', { id: aliasId, address: newAddress });
+    const updateRes = await firewallAdapter(target.fw).updateAlias(target.fw, aliasId, newAddress);
     if (updateRes.error) return res.status(500).json({ error: 'Failed to update alias', details: updateRes.message });
-    await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-    logAction('device-remove', configRule.name, `Removed ${ip} from ${aliasName}`);
-    res.json({ success: true, aliasName, ips: ips.filter(i => i !== ip) });
+    const adapter = firewallAdapter(target.fw);
+    await adapter.apply(target.fw);
+    const key = kickKey(tracker, target.fw);
+    const tracked = kidDeviceIps.get(key) || {};
+    // Reconciliation would otherwise put it back when the device's lease moves
+    forgetDeviceIps(tracker, (_mac, deviceIp, k) => k === key && deviceIp === ip);
+
+    let reservation = null;
+    let note = '';
+    const mappingsRes = await adapter.listStaticMappings(target.fw);
+    const mapping = mappingsRes.error ? null : mappingsRes.data.find(m => m.ip === ip);
+    if (mappingsRes.error) {
+      note = ` — static mappings could not be read (${pfsenseErrorText(mappingsRes)}), any reservation was kept`;
+    } else if (mapping) {
+      const kids = kidKnownMacs.get(tracker);
+      const isKids = tracked[mapping.mac] === ip || [...(kids || [])].some(m => normaliseMac(m) === mapping.mac);
+      const deleteRes = isKids ? await adapter.deleteStaticMapping(target.fw, mapping) : null;
+      reservation = isKids && !deleteRes.error ? 'removed' : 'kept';
+      note = reservation === 'removed'
+        ? `, reservation for ${mapping.hostname || mapping.mac} removed`
+        : isKids ? ` — reservation for ${mapping.hostname || mapping.mac} kept (${pfsenseErrorText(deleteRes)})`
+          : ` — reservation for ${mapping.hostname || mapping.mac} kept (not one of ${configRule.name}'s devices)`;
+    }
+    logAction('device-remove', configRule.name,
+      `Removed ${ip} from ${aliasName}${CONFIG.FIREWALLS.length ? ` on ${target.fw.name}` : ''}${note}`, req.user.username);
+    res.json({ success: true, aliasName, ips: ips.filter(i => i !== ip), reservation, message: `Removed ${ip}${note}` });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/kids/:tracker/macs — list known MACs with online status and excluded flag
+// GET /api/kids/:tracker/macs — list known MACs with online status, excluded flag
+// and the address each is reserved at on the kid's (?firewall=) firewall
 app.get('/api/kids/:tracker/macs', async (req, res) => {
   try {
     const tracker = parseInt(req.params.tracker, 10);
-    if (!CONFIG.HOME_RULES.find(r => r.tracker === tracker))
-      return res.status(404).json({ error: 'Kid not found' });
+    const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!configRule) return res.status(404).json({ error: 'Kid not found' });
 
+    // A firewall whose mappings can't be read just shows nothing reserved
+    const target = kidTargetFor(configRule, req);
+    const mappingsRes = target ? await firewallAdapter(target.fw).listStaticMappings(target.fw) : null;
+    const mappings = mappingsRes && !mappingsRes.error ? mappingsRes.data : [];
+
+    // Online status from every UniFi site the kid's firewalls use
     const knownMacs = [...(kidKnownMacs.get(tracker) || [])];
     let unifiClients = [];
-    if (CONFIG.UNIFI_URL) {
-      const cr = await unifiApiCall('GET', `/api/clients?site=${CONFIG.UNIFI_SITE}`);
-      if (!cr.error && Array.isArray(cr)) unifiClients = cr;
+    if (unifiConfigured()) {
+      for (const site of new Set(kidTargets(configRule).map(t => t.fw.unifiSite))) {
+        const cr = await unifiListClients(site);
+        if (!cr.error) unifiClients = unifiClients.concat(cr);
+      }
     }
 
     const macs = knownMacs.map(mac => {
@@ -936,6 +4100,7 @@ app.get('/api/kids/:tracker/macs', async (req, res) => {
         ip:       client?.ip || null,
         online:   !!client,
         excluded: unifiExcludedMacs.has(mac.toLowerCase()),
+        reservedIp: mappings.find(m => m.mac === normaliseMac(mac))?.ip || null,
       };
     });
     res.json({ success: true, macs });
@@ -958,6 +4123,7 @@ app.delete('/api/kids/:tracker/macs/:mac', (req, res) => {
 
     known.delete(mac);
     saveKnownMacs();
+    forgetDeviceIps(tracker, m => m === normaliseMac(mac));
     res.json({ success: true, message: `Removed ${mac}` });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
@@ -994,65 +4160,627 @@ app.put('/api/kids/:tracker/macs/:mac/excluded', (req, res) => {
 });
 
 // ============================================================================
-// HOME / Kids routes
+// Device discovery — DHCP leases from every firewall plus UniFi clients that
+// no kid owns yet (MAC not in anyone's known MACs, IP not in anyone's alias),
+// and one-click assignment: a static mapping pins the address, the address
+// joins the kid's alias and the MAC seeds known-macs.json.
 // ============================================================================
 
-// GET /api/home/rules — Fetch current block-rule state for each kid
-app.get('/api/home/rules', async (req, res) => {
+// aa:bb:cc:dd:ee:ff, or null if mac isn't a MAC address
+function normaliseMac(mac) {
+  const hex = String(mac || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return hex.length === 12 ? hex.match(/../g).join(':') : null;
+}
+
+// A name DHCP servers accept for a static mapping ('' when none is left)
+function dhcpHostname(name) {
+  return String(name || '').replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63);
+}
+
+// Phones and laptops use locally administered (random) MACs per network
+function isRandomisedMac(mac) {
+  return /^.[26ae]/.test(mac);
+}
+
+// Every kid's alias addresses — a firewall that can't be read just adds nothing
+async function kidAliasIps() {
+  const ips = new Set();
+  for (const kid of CONFIG.HOME_RULES) {
+    for (const target of kidTargets(kid)) {
+      try {
+        (await getKidAlias(target)).ips.forEach(ip => ips.add(ip));
+      } catch (_) {}
+    }
+  }
+  return ips;
+}
+
+// Resolves { devices: [{ mac, ip, hostname, vendor, randomised, online, sources,
+// firewall, interface, static }], errors: [text] }
+async function discoverDevices() {
+  const byMac = new Map();
+  const errors = [];
+  const note = (mac, fields, source) => {
+    if (!mac) return;
+    const device = byMac.get(mac) || { mac, ip: null, hostname: null, vendor: null, online: null, sources: [], firewall: null, interface: null, static: null };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== null && value !== undefined && (device[key] === null || source === 'unifi')) device[key] = value;
+    }
+    if (!device.sources.includes(source)) device.sources.push(source);
+    byMac.set(mac, device);
+  };
+
+  for (const fw of allFirewalls()) {
+    const res = await firewallAdapter(fw).listLeases(fw);
+    if (res.error) { errors.push(`${fw.name} DHCP leases: ${pfsenseErrorText(res)}`); continue; }
+    for (const lease of res.data) {
+      note(lease.mac, { ip: lease.ip, hostname: lease.hostname, online: lease.online, firewall: fw.id, interface: lease.interface, static: lease.static }, 'dhcp');
+    }
+  }
+  if (unifiConfigured()) {
+    const sites = new Map();
+    for (const fw of allFirewalls()) if (!sites.has(fw.unifiSite)) sites.set(fw.unifiSite, fw);
+    for (const [site, fw] of sites) {
+      const clients = await unifiListClients(site);
+      if (clients.error) { errors.push(`UniFi site ${site}: ${clients.message}`); continue; }
+      for (const c of clients) {
+        const mac = normaliseMac(c.mac);
+        // The lease's firewall wins; UniFi only knows the site
+        note(mac, { ip: c.ip, hostname: c.hostname, vendor: c.vendor || c.oui || null, online: true, firewall: byMac.get(mac)?.firewall || fw.id }, 'unifi');
+      }
+    }
+  }
+
+  const ownedMacs = new Set([...kidKnownMacs.values()].flatMap(set => [...set].map(m => m.toLowerCase())));
+  const ownedIps = await kidAliasIps();
+  const devices = [...byMac.values()]
+    .filter(d => !ownedMacs.has(d.mac) && !(d.ip && ownedIps.has(d.ip)))
+    .map(d => ({ ...d, static: !!d.static, randomised: isRandomisedMac(d.mac) }))
+    .sort((a, b) => (b.online === true) - (a.online === true) || String(a.hostname || '~').localeCompare(String(b.hostname || '~')));
+  return { devices, errors };
+}
+
+// GET /api/discovery — unassigned devices
+app.get('/api/discovery', async (_req, res) => {
+  try {
+    const { devices, errors } = await discoverDevices();
+    res.json({ success: true, devices, errors });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/discovery/assign  body: { tracker, mac, ip, hostname?, interface?, firewall? }
+// ip defaults to the device's lease. firewall picks which of the kid's firewalls;
+// when omitted it is the one holding the device's lease, else the kid's first.
+// The reservation itself is reserveKidDevice's (see DHCP reservations).
+app.post('/api/discovery/assign', async (req, res) => {
   try {
-    const rulesResponse = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesResponse.error) {
-      return res.status(500).json({ error: 'Failed to fetch rules from pfSense', details: rulesResponse.message });
+    const tracker = parseInt(req.body.tracker, 10);
+    const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!configRule) return res.status(404).json({ error: 'Kid not found' });
+    const mac = normaliseMac(req.body.mac);
+    if (!mac) return res.status(400).json({ error: 'mac must be a MAC address' });
+    const owner = CONFIG.HOME_RULES.find(k => k.tracker !== tracker && kidKnownMacs.get(k.tracker)?.has(mac));
+    if (owner) return res.status(409).json({ error: `${mac} already belongs to ${owner.name}` });
+
+    let target = null;
+    let lease = null;
+    for (const candidate of req.body.firewall ? [kidTargetFor(configRule, req)].filter(Boolean) : kidTargets(configRule)) {
+      const leasesRes = await firewallAdapter(candidate.fw).listLeases(candidate.fw);
+      const found = leasesRes.error ? null : leasesRes.data.find(l => l.mac === mac);
+      if (!target || (found && !lease)) { target = candidate; lease = found; }
+      if (lease) break;
     }
+    if (!target) return res.status(404).json({ error: `${configRule.name} has no rule on that firewall` });
+    const { fw } = target;
+
+    const ip = String(req.body.ip || lease?.ip || '').trim();
+    if (!/^\d+\.\d+\.\d+\.\d+$/.test(ip)) return res.status(400).json({ error: 'ip must be an IPv4 address' });
+    const hostname = dhcpHostname(req.body.hostname || lease?.hostname);
+
+    const result = await reserveKidDevice(configRule, target, { mac, ip, hostname, iface: req.body.interface || lease?.interface });
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    const { aliasName, mapped } = result;
+
+    const where = CONFIG.FIREWALLS.length ? ` on ${fw.name}` : '';
+    logAction('device-assign', configRule.name,
+      `${hostname || mac} (${mac}) → ${ip} in ${aliasName}${where}${mapped ? ', static mapping saved' : ''}`, req.user.username);
+    notifyStateChange();
+    res.json({ success: true, mac, ip, aliasName, message: `${hostname || mac} assigned to ${configRule.name}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
 
-    // Fetch UniFi client list once for device status (best-effort — don't fail if unavailable)
-    let unifiClients = [];
-    if (CONFIG.UNIFI_URL) {
-      const cr = await unifiApiCall('GET', `/api/clients?site=${CONFIG.UNIFI_SITE}`);
-      if (!cr.error && Array.isArray(cr)) unifiClients = cr;
+// ============================================================================
+// DHCP reservations — a static mapping per kid device, so its address can't
+// drift out of the kid's alias. device-ips.json remembers which address the app
+// keeps in the alias for each device (devices: kick key → { mac: ip }) and the
+// mismatches already sent to ntfy (reported: ["<firewall id> <mac>"]), so a
+// restart doesn't repeat them. When a device's
+// reservation or lease moves, reconciliation swaps the old address for the new
+// one. A device not tracked yet is picked up once its address is seen in the
+// alias — a known MAC whose address isn't there is only reported, never added.
+// Reconciliation runs every RECONCILE_INTERVAL_MS.
+// ============================================================================
+const DEVICE_IPS_FILE       = path.join(__dirname, 'device-ips.json');
+const RECONCILE_INTERVAL_MS = 10 * 60 * 1000;
+const kidDeviceIps = new Map();   // kick key → { mac: ip }
+let reportedMismatches = new Set(); // "<firewall id> <mac>" already notified
+let lastReconciliation = null;    // latest reconcileReservations() report
+let reconcileRunning = null;      // in-flight run, shared by concurrent callers
+
+function loadDeviceIps() {
+  try {
+    if (!fs.existsSync(DEVICE_IPS_FILE)) return;
+    const data = JSON.parse(fs.readFileSync(DEVICE_IPS_FILE, 'utf8'));
+    for (const [key, devices] of Object.entries(data.devices || {})) {
+      if (devices && typeof devices === 'object') kidDeviceIps.set(/^\d+$/.test(key) ? Number(key) : key, devices);
     }
+    if (Array.isArray(data.reported)) reportedMismatches = new Set(data.reported);
+  } catch (e) { console.error('Failed to load device-ips.json:', e.message); }
+}
 
-    const allRules = rulesResponse.data || [];
-    const now = Date.now();
-    const result = CONFIG.HOME_RULES.map(configRule => {
-      const blockRule  = allRules.find(r => r.tracker === configRule.tracker);
-      const timer      = activeTimers.get(configRule.tracker);
-      const schedInfo  = computeScheduleInfo(String(configRule.tracker));
-      const skipUntilMs = activeSkips.get(configRule.tracker);
-      const skipUntil  = (skipUntilMs && now < skipUntilMs) ? skipUntilMs : null;
-
-      // Build per-kid device list from known MACs, annotated with live UniFi status
-      const knownMacs = [...(kidKnownMacs.get(configRule.tracker) || [])];
-      const devices = knownMacs.map(mac => {
-        const client = unifiClients.find(c => c.mac === mac);
-        return {
-          mac,
-          hostname: client?.hostname || null,
-          ip:       client?.ip || null,
-          online:   !!client,
-          is_wired: client?.is_wired || false,
-        };
-      });
+function saveDeviceIps() {
+  try {
+    const data = { devices: Object.fromEntries(kidDeviceIps), reported: [...reportedMismatches] };
+    fs.writeFileSync(DEVICE_IPS_FILE, JSON.stringify(data, null, 2));
+  } catch (e) { console.error('Failed to save device-ips.json:', e.message); }
+}
+
+loadDeviceIps();
+
+function recordDeviceIp(key, mac, ip) {
+  const devices = kidDeviceIps.get(key) || {};
+  if (devices[mac] === ip) return;
+  devices[mac] = ip;
+  kidDeviceIps.set(key, devices);
+  saveDeviceIps();
+}
+
+// Stops tracking a kid's devices (on any firewall) for which match(mac, ip, key)
+// is true — when the kid, one of their MACs or an alias address is removed.
+function forgetDeviceIps(tracker, match = () => true) {
+  let changed = false;
+  for (const [key, devices] of [...kidDeviceIps]) {
+    if (key !== tracker && !String(key).startsWith(`${tracker}@`)) continue;
+    for (const [mac, ip] of Object.entries(devices)) {
+      if (match(mac, ip, key)) { delete devices[mac]; changed = true; }
+    }
+    if (!Object.keys(devices).length) kidDeviceIps.delete(key);
+  }
+  if (changed) saveDeviceIps();
+}
+
+// The lease a device holds now: one that hasn't expired, preferring one whose
+// device is online. An idle device keeps its lease until it ends, but an
+// expired lease may already have been handed to someone else.
+function currentLease(leases, mac, now = Date.now()) {
+  const own = leases.filter(l => l.mac === mac && l.active !== false && !(l.ends && l.ends <= now));
+  return own.find(l => l.online === true) || own.find(l => l.online === null) || own[0] || null;
+}
+
+// Pins a kid's device to ip on the target's firewall: moves the MAC's static
+// mapping there (or adds one on iface, else the interface of the kid's block
+// rule) and swaps the device's previous address
+// for ip in the kid's alias. The previous address stays while another of the
+// kid's tracked devices uses it. Resolves { ip, aliasName, previousIp, mapped }
+// (mapped is false when the reservation was already in place) or
+// { error, status, details }.
+async function reserveKidDevice(kid, { fw, tracker }, { mac, ip, hostname, iface }) {
+  const adapter = firewallAdapter(fw);
+  const mappingsRes = await adapter.listStaticMappings(fw);
+  if (mappingsRes.error) return { error: 'Failed to read static mappings', status: 502, details: pfsenseErrorText(mappingsRes) };
+  const existing = mappingsRes.data.find(m => m.mac === mac);
+  const taken = mappingsRes.data.find(m => m.ip === ip && m.mac !== mac);
+  if (taken) return { error: `${ip} is already reserved for ${taken.hostname || taken.mac}`, status: 409 };
+
+  const { aliasName, aliasId, address, ips, ruleInterface } = await getKidAlias({ fw, tracker });
+
+  // Static mapping first — without it the address could move on renewal
+  const mapped = existing?.ip !== ip;
+  if (mapped) {
+    const mapRes = existing
+      ? await adapter.updateStaticMapping(fw, existing, { ip, hostname })
+      : await adapter.addStaticMapping(fw, { iface: iface || ruleInterface, mac, ip, hostname, descr: `Kids Internet — ${kid.name}` });
+    if (mapRes.error) return { error: `Failed to ${existing ? 'move' : 'add'} static mapping`, status: 502, details: pfsenseErrorText(mapRes) };
+  }
+
+  const key = kickKey(kid.tracker, fw);
+  const devices = kidDeviceIps.get(key) || {};
+  const previousIp = devices[mac] || existing?.ip || null;
+  const dropPrevious = !!previousIp && previousIp !== ip && ips.includes(previousIp)
+    && !Object.entries(devices).some(([m, a]) => m !== mac && a === previousIp);
+  if (dropPrevious || !ips.includes(ip)) {
+    const kept = dropPrevious ? address.filter(e => (typeof e === 'string' ? e : e.address) !== previousIp) : address;
+    const updateRes = await adapter.updateAlias(fw, aliasId, ips.includes(ip) ? kept : aliasAddressWith(kept, [ip]));
+    if (updateRes.error) return { error: 'Static mapping saved but the alias update failed', status: 502, details: pfsenseErrorText(updateRes) };
+    await adapter.apply(fw);
+  }
+  recordDeviceIp(key, mac, ip);
+  learnMacs(kid.tracker, [mac]);
+  return { ip, aliasName, previousIp: dropPrevious ? previousIp : null, mapped };
+}
+
+// Compares every kid's known MACs with the DHCP leases and static mappings on
+// each firewall they're on, updating aliases for tracked devices that moved.
+// Concurrent callers share one run. Resolves the report:
+//   { at, updated: [...], mismatches: [...], unreserved: [...], errors: [...] }
+// with one { kid, tracker, firewall, mac, hostname, ip } entry per device —
+// updated ones add `from`, mismatches add leaseIp, aliasName and problem.
+// Mismatches not reported by an earlier run (this process or the last) are sent to ntfy.
+function reconcileReservations() {
+  if (!reconcileRunning) reconcileRunning = runReconciliation().finally(() => { reconcileRunning = null; });
+  return reconcileRunning;
+}
+
+async function runReconciliation() {
+  const report = { at: Date.now(), updated: [], mismatches: [], unreserved: [], errors: [] };
+  const unread = new Set();   // firewall ids whose DHCP state couldn't be read
+  for (const fw of allFirewalls()) {
+    const targets = CONFIG.HOME_RULES.flatMap(kid => kidTargets(kid).filter(t => t.fw.id === fw.id).map(t => ({ kid, ...t })));
+    if (!targets.some(({ kid }) => kidKnownMacs.get(kid.tracker)?.size)) continue;
+    const adapter = firewallAdapter(fw);
+    const leasesRes = await adapter.listLeases(fw);
+    const mappingsRes = leasesRes.error ? null : await adapter.listStaticMappings(fw);
+    const readError = leasesRes.error ? leasesRes : mappingsRes.error ? mappingsRes : null;
+    if (readError) {
+      report.errors.push(`${fw.name}: ${pfsenseErrorText(readError)}`);
+      unread.add(fw.id);
+      continue;
+    }
+    for (const target of targets) {
+      await reconcileKidDevices(target, leasesRes.data, mappingsRes.data, report);
+    }
+  }
+
+  // A firewall that couldn't be read keeps what was reported for it
+  const current = new Set([
+    ...report.mismatches.map(m => `${m.firewall} ${m.mac}`),
+    ...[...reportedMismatches].filter(k => unread.has(k.split(' ')[0])),
+  ]);
+  const fresh = report.mismatches.filter(m => !reportedMismatches.has(`${m.firewall} ${m.mac}`));
+  if (fresh.length) {
+    sendNotif('Devices outside their block rule', fresh.map(m => `${m.kid}: ${m.hostname || m.mac} — ${m.problem}`).join('\n'));
+  }
+  if (current.size !== reportedMismatches.size || [...current].some(k => !reportedMismatches.has(k))) {
+    reportedMismatches = current;
+    saveDeviceIps();
+  }
+  lastReconciliation = report;
+  return report;
+}
+
+async function reconcileKidDevices({ kid, fw, tracker }, leases, mappings, report) {
+  const macs = [...(kidKnownMacs.get(kid.tracker) || [])].map(normaliseMac).filter(Boolean);
+  if (!macs.length) return;
+  let alias;
+  try {
+    alias = await getKidAlias({ fw, tracker });
+  } catch (e) {
+    report.errors.push(`${kid.name} on ${fw.name}: ${e.message}`);
+    return;
+  }
+  const { aliasName, aliasId, address, ips } = alias;
+  const key = kickKey(kid.tracker, fw);
+  const devices = { ...(kidDeviceIps.get(key) || {}) };
+
+  const seen = [];    // { entry, lease, mapping }
+  const moved = [];
+  for (const mac of macs) {
+    const mapping = mappings.find(m => m.mac === mac) || null;
+    const lease = currentLease(leases, mac);
+    if (!mapping && !lease) continue;   // not on this firewall's network
+    const entry = { kid: kid.name, tracker: kid.tracker, firewall: fw.id, mac,
+      hostname: mapping?.hostname || lease?.hostname || null, ip: mapping ? mapping.ip : lease.ip };
+    if (!mapping) report.unreserved.push(entry);
+    if (devices[mac] === undefined) {
+      if (ips.includes(entry.ip)) devices[mac] = entry.ip;
+    } else if (devices[mac] !== entry.ip) {
+      moved.push({ ...entry, from: devices[mac] });
+      devices[mac] = entry.ip;
+    }
+    seen.push({ entry, lease, mapping });
+  }
+
+  // Old addresses leave the alias unless another tracked device still has them
+  let aliasIps = ips;
+  const stillUsed = new Set(Object.values(devices));
+  const dropped = new Set(moved.map(m => m.from).filter(ip => !stillUsed.has(ip) && ips.includes(ip)));
+  const added = [...new Set(moved.map(m => m.ip))].filter(ip => !ips.includes(ip));
+  if (dropped.size || added.length) {
+    const kept = address.filter(e => !dropped.has(typeof e === 'string' ? e : e.address));
+    const adapter = firewallAdapter(fw);
+    const updateRes = await adapter.updateAlias(fw, aliasId, aliasAddressWith(kept, added));
+    if (updateRes.error) {
+      // Keep the old addresses recorded so the next run tries again
+      report.errors.push(`${kid.name}: could not update ${aliasName} — ${pfsenseErrorText(updateRes)}`);
+      for (const m of moved.splice(0)) devices[m.mac] = m.from;
+    } else {
+      await adapter.apply(fw);
+      aliasIps = [...ips.filter(ip => !dropped.has(ip)), ...added];
+      notifyStateChange();
+    }
+  }
+  const where = CONFIG.FIREWALLS.length ? ` on ${fw.name}` : '';
+  for (const m of moved) {
+    logAction('device-ip-change', kid.name, `${m.hostname || m.mac} (${m.mac}) moved from ${m.from} to ${m.ip}${where}`);
+    report.updated.push(m);
+  }
+  if (JSON.stringify(devices) !== JSON.stringify(kidDeviceIps.get(key) || {})) {
+    kidDeviceIps.set(key, devices);
+    saveDeviceIps();
+  }
+
+  // Randomised MACs rotate and excluded ones are wired machines handled by
+  // hand, so neither is reported
+  for (const { entry, lease, mapping } of seen) {
+    const using = lease?.ip || entry.ip;
+    if (aliasIps.includes(using) || isRandomisedMac(entry.mac) || unifiExcludedMacs.has(entry.mac)) continue;
+    const problem = mapping && lease && lease.ip !== mapping.ip
+      ? `still on ${lease.ip} until it renews into its reservation ${mapping.ip}, which ${aliasIps.includes(mapping.ip) ? 'is' : 'is not'} in ${aliasName}`
+      : `${using} is not in ${aliasName}`;
+    report.mismatches.push({ ...entry, leaseIp: lease?.ip || null, aliasName, problem });
+  }
+}
+
+// GET /api/reservations — the latest reconciliation report (null before the first run)
+app.get('/api/reservations', (_req, res) => {
+  res.json({ success: true, report: lastReconciliation, intervalMs: RECONCILE_INTERVAL_MS });
+});
+
+// POST /api/reservations/reconcile — run reconciliation now
+app.post('/api/reservations/reconcile', async (_req, res) => {
+  try {
+    res.json({ success: true, report: await reconcileReservations() });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/kids/:tracker/reservations/:mac  body: { ip?, hostname?, firewall? }
+// Reserves (or moves) one of the kid's devices. ip defaults to its current lease.
+app.put('/api/kids/:tracker/reservations/:mac', async (req, res) => {
+  try {
+    const tracker = parseInt(req.params.tracker, 10);
+    const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!configRule) return res.status(404).json({ error: 'Kid not found' });
+    const mac = normaliseMac(req.params.mac);
+    if (!mac) return res.status(400).json({ error: 'mac must be a MAC address' });
+    const owner = CONFIG.HOME_RULES.find(k => k.tracker !== tracker && kidKnownMacs.get(k.tracker)?.has(mac));
+    if (owner) return res.status(409).json({ error: `${mac} belongs to ${owner.name}` });
+    const target = kidTargetFor(configRule, req);
+    if (!target) return res.status(404).json({ error: `${configRule.name} has no rule on that firewall` });
+
+    const leasesRes = await firewallAdapter(target.fw).listLeases(target.fw);
+    const lease = leasesRes.error ? null : currentLease(leasesRes.data, mac) || leasesRes.data.find(l => l.mac === mac);
+    const ip = String(req.body.ip || lease?.ip || '').trim();
+    if (!/^\d+\.\d+\.\d+\.\d+$/.test(ip)) {
+      return res.status(400).json({ error: req.body.ip ? 'ip must be an IPv4 address' : 'No lease for this device — give an ip' });
+    }
+    const hostname = dhcpHostname(req.body.hostname || lease?.hostname);
+
+    const result = await reserveKidDevice(configRule, target, { mac, ip, hostname, iface: lease?.interface });
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    const { aliasName, previousIp, mapped } = result;
+
+    const where = CONFIG.FIREWALLS.length ? ` on ${target.fw.name}` : '';
+    if (mapped || previousIp) {
+      logAction('device-reserve', configRule.name,
+        `${hostname || mac} (${mac}) reserved at ${ip}${where}${previousIp ? `, replacing ${previousIp} in ${aliasName}` : ''}`, req.user.username);
+      notifyStateChange();
+    }
+    res.json({ success: true, mac, ip, aliasName, previousIp, message: `${hostname || mac} reserved at ${ip}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// DELETE /api/kids/:tracker/reservations/:mac — drops the device's static mapping.
+// Its address stays in the alias until removed there.
+app.delete('/api/kids/:tracker/reservations/:mac', async (req, res) => {
+  try {
+    const tracker = parseInt(req.params.tracker, 10);
+    const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!configRule) return res.status(404).json({ error: 'Kid not found' });
+    const mac = normaliseMac(req.params.mac);
+    if (!mac || !kidKnownMacs.get(tracker)?.has(mac)) return res.status(404).json({ error: 'MAC not found' });
+    const target = kidTargetFor(configRule, req);
+    if (!target) return res.status(404).json({ error: `${configRule.name} has no rule on that firewall` });
+
+    const adapter = firewallAdapter(target.fw);
+    const mappingsRes = await adapter.listStaticMappings(target.fw);
+    if (mappingsRes.error) return res.status(502).json({ error: 'Failed to read static mappings', details: pfsenseErrorText(mappingsRes) });
+    const mapping = mappingsRes.data.find(m => m.mac === mac);
+    if (!mapping) return res.status(404).json({ error: 'No static mapping for this MAC' });
+    const deleteRes = await adapter.deleteStaticMapping(target.fw, mapping);
+    if (deleteRes.error) return res.status(502).json({ error: 'Failed to delete static mapping', details: pfsenseErrorText(deleteRes) });
+
+    const where = CONFIG.FIREWALLS.length ? ` on ${target.fw.name}` : '';
+    logAction('device-unreserve', configRule.name, `${mapping.hostname || mac} (${mac}) no longer reserved at ${mapping.ip}${where}`, req.user.username);
+    res.json({ success: true, message: `Reservation for ${mapping.hostname || mac} removed` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// Live updates — Server-Sent Events
+// Dashboards keep GET /api/events open instead of polling. Any state change
+// (logAction, schedule enforcement, UniFi kicks) calls notifyStateChange();
+// changes landing within STATE_PUSH_DEBOUNCE_MS share one pfSense fetch and
+// one push to every open stream.
+// ============================================================================
+const STATE_PUSH_DEBOUNCE_MS = 250;
+const STATE_PUSH_MAX_AGE_MS  = 60 * 1000;   // refresh budgets/devices at least this often
+const sseClients = new Set();               // { res, token }
+let statePushTimer = null;
+let statePushRunning = false;
+let statePushPending = false;
+let lastStatePushAt = 0;
+let lastRuleSignature = null;               // ruleSignature() as of the last push
+
+function notifyStateChange() {
+  if (!sseClients.size || statePushTimer) return;
+  statePushTimer = setTimeout(pushState, STATE_PUSH_DEBOUNCE_MS);
+}
+
+// Every kid's block state on each of their firewalls, e.g. "111:true,222:false/null"
+function ruleSignature(rulesByFw) {
+  return CONFIG.HOME_RULES.map(k => {
+    const states = findKidRules(k, rulesByFw).map(({ rule }) => rule ? !rule.disabled : null);
+    return `${k.tracker}:${states.join('/')}`;
+  }).join(',');
+}
+
+// Called by enforceSchedules with the rules it already fetched: pushes when a
+// rule changed outside the app, or when the last push is getting stale.
+function notifyIfStale(rulesByFw) {
+  if (!sseClients.size) return;
+  if (ruleSignature(rulesByFw) !== lastRuleSignature || Date.now() - lastStatePushAt > STATE_PUSH_MAX_AGE_MS) {
+    notifyStateChange();
+  }
+}
 
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function pushState() {
+  statePushTimer = null;
+  if (statePushRunning) { statePushPending = true; return; }
+  statePushRunning = true;
+  try {
+    // Streams outlive their request — drop those whose session has since ended
+    for (const client of sseClients) {
+      const session = sessions.get(client.token);
+      if (!session || session.expires < Date.now()) { client.res.end(); sseClients.delete(client); }
+    }
+    if (!sseClients.size) return;
+
+    const state = await buildHomeRules();
+    if (state.error) {
+      for (const { res } of sseClients) sendEvent(res, 'unavailable', state);
+      return;
+    }
+    const timelines = {};
+    for (const kid of CONFIG.HOME_RULES) timelines[kid.tracker] = buildTimeline(kid);
+    const payload = { rules: state.rules, timelines, timestamp: new Date().toISOString() };
+    for (const { res } of sseClients) sendEvent(res, 'state', payload);
+    lastStatePushAt = Date.now();
+    lastRuleSignature = state.signature;
+  } catch (err) {
+    console.error('State push failed:', err.message);
+  } finally {
+    statePushRunning = false;
+    if (statePushPending) { statePushPending = false; notifyStateChange(); }
+  }
+}
+
+// GET /api/events — SSE stream of { rules, timelines } snapshots
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  const client = { res, token: req.sessionToken };
+  sseClients.add(client);
+  req.on('close', () => sseClients.delete(client));
+  notifyStateChange();
+});
+
+// Comment lines keep idle streams open through proxies (unref'd: the listening
+// server keeps the process alive, not this)
+setInterval(() => {
+  for (const { res } of sseClients) res.write(': ping\n\n');
+}, 25 * 1000).unref();
+
+// ============================================================================
+// HOME / Kids routes
+// ============================================================================
+
+// Current block-rule state for each kid, as served by /api/home/rules and
+// pushed to /api/events. Returns { rules } or { error, details }.
+async function buildHomeRules() {
+  const firewalls = firewallsFor(CONFIG.HOME_RULES);
+  const rulesByFw = await getRulesByFirewall(firewalls);
+  const readError = allFirewallsFailed(rulesByFw);
+  if (readError) {
+    return { error: 'Failed to fetch rules from pfSense', details: readError };
+  }
+
+  // Fetch each site's UniFi client list once for device status (best-effort — don't fail if unavailable)
+  let unifiClients = [];
+  if (unifiConfigured()) {
+    for (const site of new Set(firewalls.map(fw => fw.unifiSite))) {
+      const cr = await unifiListClients(site);
+      if (!cr.error) unifiClients = unifiClients.concat(cr);
+    }
+  }
+
+  const now = Date.now();
+  const result = CONFIG.HOME_RULES.map(configRule => {
+    // Blocked if the rule is on anywhere it was found; null when found nowhere
+    const onFirewalls = findKidRules(configRule, rulesByFw).map(({ fw, rule, error }) => ({
+      id: fw.id, name: fw.name, blockEnabled: rule ? !rule.disabled : null, found: !!rule, error,
+    }));
+    const found      = onFirewalls.filter(f => f.found);
+    const timer      = activeTimers.get(configRule.tracker);
+    const schedInfo  = computeScheduleInfo(String(configRule.tracker));
+    const skipUntilMs = activeSkips.get(configRule.tracker);
+    const skipUntil  = (skipUntilMs && now < skipUntilMs) ? skipUntilMs : null;
+    const budget     = computeBudgetInfo(configRule.tracker, configRule.name);
+    const request    = pendingRequestFor(configRule.tracker);
+
+    // Build per-kid device list from known MACs, annotated with live UniFi status
+    const knownMacs = [...(kidKnownMacs.get(configRule.tracker) || [])];
+    const devices = knownMacs.map(mac => {
+      const client = unifiClients.find(c => c.mac === mac);
       return {
-        tracker:           configRule.tracker,
-        scheduleTracker:   configRule.scheduleTracker,
-        name:              configRule.name,
-        blockEnabled:      blockRule ? !blockRule.disabled : null,
-        scheduleEnabled:   schedInfo.enabled,
-        scheduleActive:    schedInfo.active,
-        scheduleWindowEnd: schedInfo.windowEnd,
-        scheduleNextStart: schedInfo.nextStart,
-        scheduleNextEnd:   schedInfo.nextEnd,
-        timerEndTime:      timer ? timer.endTime : null,
-        skipUntil,
-        found:             !!blockRule,
-        devices,
-        dayOverride:       scheduleConfig[String(configRule.tracker)]?.dayOverride || null,
+        mac,
+        hostname: client?.hostname || null,
+        ip:       client?.ip || null,
+        online:   !!client,
+        is_wired: client?.is_wired || false,
       };
     });
 
-    res.json({ success: true, rules: result, timestamp: new Date().toISOString() });
+    return {
+      tracker:           configRule.tracker,
+      scheduleTracker:   configRule.scheduleTracker,
+      name:              configRule.name,
+      blockEnabled:      found.length ? found.some(f => f.blockEnabled) : null,
+      scheduleEnabled:   schedInfo.enabled,
+      scheduleActive:    schedInfo.active,
+      scheduleWindowEnd: schedInfo.windowEnd,
+      scheduleNextStart: schedInfo.nextStart,
+      scheduleNextEnd:   schedInfo.nextEnd,
+      timerEndTime:      timer ? timer.endTime : null,
+      skipUntil,
+      found:             found.length > 0,
+      firewalls:         onFirewalls,
+      devices,
+      dayOverride:       scheduleConfig[String(configRule.tracker)]?.dayOverride || null,
+      exception:         findException(configRule.tracker, getTodayStr()),
+      budget:            budget.enabled ? budget : null,
+      timeRequest:       request ? timeRequestSummary(request) : null,
+    };
+  });
+
+  return { rules: result, signature: ruleSignature(rulesByFw) };
+}
+
+// GET /api/home/rules — Fetch current block-rule state for each kid
+app.get('/api/home/rules', async (req, res) => {
+  try {
+    const state = await buildHomeRules();
+    if (state.error) return res.status(500).json(state);
+    res.json({ success: true, rules: state.rules, timestamp: new Date().toISOString() });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
@@ -1065,35 +4793,40 @@ app.post('/api/home/rules/:tracker/toggle', async (req, res) => {
     const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     if (!configRule) return res.status(404).json({ error: 'Kid rule not found in configuration' });
 
-    const rulesResponse = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesResponse.error) return res.status(500).json({ error: 'Failed to fetch current rule state', details: rulesResponse.message });
-
-    const allRules = rulesResponse.data || [];
-    const currentRule = allRules.find(r => r.tracker === tracker);
-    if (!currentRule) return res.status(404).json({ error: 'Rule not found on pfSense' });
-
-    const newDisabledState = !currentRule.disabled;
-    const updateResponse = await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: currentRule.id, disabled: newDisabledState });
-    if (updateResponse.error) return res.status(500).json({ error: 'Failed to update rule', details: updateResponse.message });
-
-    await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-
-    const blockEnabled = !newDisabledState;
-    // Kill existing states so blocking takes effect immediately (e.g. iMessage)
-    if (blockEnabled) {
-      await killStatesForSource(ruleSourceAddr(currentRule), configRule.name);
-      await kickKidInUnifi(tracker, ruleSourceAddr(currentRule), configRule.name);
-    } else {
-      await unifiUnblockKid(tracker, configRule.name, ruleSourceAddr(currentRule));
+    // Uncached: a rule read up to 5 s ago could flip a change made since the wrong way
+    const rulesByFw = await getRulesByFirewall(firewallsFor([configRule]), true);
+    const readError = allFirewallsFailed(rulesByFw);
+    if (readError) return res.status(500).json({ error: 'Failed to fetch current rule state', details: readError });
+
+    // Blocked anywhere counts as blocked, so the toggle allows everywhere
+    const current = findKidRules(configRule, rulesByFw).filter(f => f.rule);
+    if (!current.length) return res.status(404).json({ error: 'Rule not found on pfSense' });
+    const blockEnabled = !current.some(f => !f.rule.disabled);
+
+    // Kills states and kicks from WiFi on block so it takes effect immediately (e.g. iMessage)
+    const result = await setKidsAllowed([configRule], !blockEnabled);
+    if (result.error) return res.status(500).json({ error: 'Failed to fetch current rule state', details: result.message });
+    if (result.failed.length && !result.succeeded.length) {
+      return res.status(500).json({ error: 'Failed to update rule', details: bulkChangeSummary(result).failed.map(f => f.error).join('; ') });
     }
+
+    let budgetOverridden = false;
+    if (blockEnabled) clearBudgetOverride(tracker);
+    else budgetOverridden = overrideBudgetIfSpent(tracker, configRule.name);
     logAction(blockEnabled ? 'toggle-block' : 'toggle-allow', configRule.name,
-      blockEnabled ? 'Manually blocked' : 'Manually allowed');
+      blockEnabled ? 'Manually blocked'
+        : budgetOverridden ? 'Manually allowed (daily budget overridden)' : 'Manually allowed',
+      req.user.username);
+    const summary = bulkChangeSummary(result);
+    for (const f of summary.failed) logAction('rule-change-failed', configRule.name, `${blockEnabled ? 'toggle-block' : 'toggle-allow'}: ${f.error}`, req.user.username);
+    const failedText = summary.failed.map(f => f.error).join('; ');
     res.json({
-      success: true,
+      success: !summary.failed.length,
       tracker,
       name: configRule.name,
       blockEnabled,
-      message: `${configRule.name} is now ${blockEnabled ? 'BLOCKED' : 'ALLOWED'}`
+      failed: summary.failed,
+      message: `${configRule.name} is now ${blockEnabled ? 'BLOCKED' : 'ALLOWED'}${failedText ? ` — failed for ${failedText}` : ''}`
     });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
@@ -1116,7 +4849,7 @@ app.post('/api/home/rules/:tracker/toggle-schedule', async (req, res) => {
     enforceSchedules().catch(err => console.error('Enforcement after toggle:', err.message));
 
     const scheduleEnabled = scheduleConfig[key].enabled;
-    logAction('schedule-toggle', configRule.name, `Schedule ${scheduleEnabled ? 'enabled' : 'disabled'}`);
+    logAction('schedule-toggle', configRule.name, `Schedule ${scheduleEnabled ? 'enabled' : 'disabled'}`, req.user.username);
     res.json({
       success: true,
       tracker,
@@ -1129,60 +4862,291 @@ app.post('/api/home/rules/:tracker/toggle-schedule', async (req, res) => {
   }
 });
 
-// POST /api/home/allow-all — Disable all block rules (allow all kids)
-app.post('/api/home/allow-all', async (req, res) => {
+// Allows every kid in homeRules (disables their block rules) with one apply per firewall.
+// Returns bulkChangeSummary(), or { error, message } if no firewall's rules could be fetched.
+async function allowKids(homeRules) {
+  const result = await setKidsAllowed(homeRules, true);
+  if (result.error) return result;
+  for (const kid of new Map(result.succeeded.map(c => [c.kid.tracker, c.kid])).values()) {
+    overrideBudgetIfSpent(kid.tracker, kid.name);
+  }
+  return bulkChangeSummary(result);
+}
+
+// Blocks every kid in homeRules with one apply per firewall, then kills their
+// states and kicks them from WiFi. Returns the same shapes as allowKids.
+async function blockKids(homeRules) {
+  const result = await setKidsAllowed(homeRules, false);
+  if (result.error) return result;
+  const failed = new Set(result.failed.map(f => f.kid.tracker));
+  for (const homeRule of homeRules) {
+    if (!failed.has(homeRule.tracker)) clearBudgetOverride(homeRule.tracker);
+  }
+  return bulkChangeSummary(result);
+}
+
+// { changed, failed: [{ tracker, name, firewall, error }], applyError } for API
+// responses. changed counts kids; errors on other houses' firewalls name the firewall.
+function bulkChangeSummary({ succeeded, failed, applyError }) {
+  return {
+    changed: new Set(succeeded.map(c => c.kid.tracker)).size,
+    failed: failed.map(f => {
+      const fw = f.fw || defaultFirewall();
+      return {
+        tracker: f.kid.tracker, name: f.kid.name, firewall: fw.id,
+        error: CONFIG.FIREWALLS.length ? `${fw.name}: ${f.error}` : f.error,
+      };
+    }),
+    applyError,
+  };
+}
+
+// Audit entries for a bulk change. Kids whose change failed get a
+// 'rule-change-failed' entry instead, so their timeline doesn't move. A global
+// (kid=null) entry is only written when every kid went through, and nothing
+// but the failures is logged when the apply was rolled back.
+function logBulkChange(action, homeRules, result, details, user, global = false) {
+  const failed = new Set(result.failed.map(f => f.tracker));
+  if (global && !failed.size) {
+    logAction(action, null, details, user);
+  } else if (!result.applyError) {
+    for (const r of homeRules) {
+      if (!failed.has(r.tracker)) logAction(action, r.name, details, user);
+    }
+  }
+  for (const f of result.failed) logAction('rule-change-failed', f.name, `${action}: ${f.error}`, user);
+}
+
+// Responds to a bulk change: 502 when the apply failed and everything was
+// reverted, otherwise 200 with the kids that failed (if any) in the message.
+function sendBulkChangeResult(res, result, message, extra = {}) {
+  if (result.applyError) {
+    return res.status(502).json({ error: 'Firewall apply failed — changes reverted', details: result.applyError, failed: result.failed });
+  }
+  const failedText = result.failed.map(f => `${f.name} (${f.error})`).join(', ');
+  res.json({
+    success: !result.failed.length,
+    changed: result.changed,
+    failed:  result.failed,
+    ...extra,
+    message: failedText ? `${message} — failed for ${failedText}` : message,
+  });
+}
+
+// POST /api/home/allow-all — Disable all block rules (allow all kids)
+app.post('/api/home/allow-all', async (req, res) => {
+  try {
+    const result = await allowKids(CONFIG.HOME_RULES);
+    if (result.error) return res.status(500).json({ error: 'Failed to fetch rules', details: result.message });
+    logBulkChange('allow-all', CONFIG.HOME_RULES, result, `${result.changed} kids allowed`, req.user.username, true);
+    sendBulkChangeResult(res, result, 'All kids are now ALLOWED');
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/home/block-all — Enable all block rules (block all kids)
+app.post('/api/home/block-all', async (req, res) => {
+  try {
+    const result = await blockKids(CONFIG.HOME_RULES);
+    if (result.error) return res.status(500).json({ error: 'Failed to fetch rules', details: result.message });
+    logBulkChange('block-all', CONFIG.HOME_RULES, result, `${result.changed} kids blocked`, req.user.username, true);
+    sendBulkChangeResult(res, result, 'All kids are now BLOCKED');
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// Kid groups API — CRUD plus group-level allow / block / timed-allow / skip
+// ============================================================================
+
+// Validates a group body. Returns { error } or { name, members }.
+function parseGroup(body, id = null) {
+  const name = String(body?.name || '').trim();
+  if (!name || name.length > 40) return { error: 'name must be 1–40 characters' };
+  if (kidGroups.some(g => g.id !== id && g.name.toLowerCase() === name.toLowerCase())) {
+    return { error: `A group named "${name}" already exists` };
+  }
+  const members = body?.members;
+  if (!Array.isArray(members)) return { error: 'members must be a list of trackers' };
+  const unknown = members.filter(t => !CONFIG.HOME_RULES.some(r => String(r.tracker) === String(t)));
+  if (unknown.length) return { error: `Unknown kid tracker(s): ${unknown.join(', ')}` };
+  return { name, members: [...new Set(members.map(Number))] };
+}
+
+// Copies a group schedule onto the given trackers, keeping each kid's own
+// budget and day override
+function applyGroupSchedule(group, trackers) {
+  for (const tracker of trackers) {
+    const key = String(tracker);
+    scheduleConfig[key] = {
+      ...(scheduleConfig[key] || {}),
+      enabled: group.schedule.enabled,
+      windows: group.schedule.windows.map(w => ({ days: [...w.days], start: w.start, end: w.end }))
+    };
+  }
+  saveSchedules();
+}
+
+function groupSummary(group) {
+  return { ...group, kids: groupRules(group).map(r => ({ tracker: r.tracker, name: r.name })) };
+}
+
+// Resolves :id to a group, or responds 404 and returns null
+function findGroupOr404(req, res) {
+  const group = kidGroups.find(g => g.id === req.params.id);
+  if (!group) res.status(404).json({ error: 'Group not found' });
+  return group || null;
+}
+
+// GET /api/groups
+app.get('/api/groups', (_req, res) => {
+  res.json({ success: true, groups: kidGroups.map(groupSummary) });
+});
+
+// POST /api/groups  body: { name, members: [tracker, ...] }
+app.post('/api/groups', (req, res) => {
+  try {
+    const { error, name, members } = parseGroup(req.body);
+    if (error) return res.status(400).json({ error });
+    const group = { id: crypto.randomBytes(6).toString('hex'), name, members };
+    kidGroups.push(group);
+    saveGroups();
+    logAction('group-add', null, `${name} (${groupRules(group).map(r => r.name).join(', ') || 'empty'})`, req.user.username);
+    res.json({ success: true, group: groupSummary(group), message: `Group ${name} created` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/groups/:id  body: { name, members }
+// Kids joining a group that has a schedule pick that schedule up.
+app.put('/api/groups/:id', (req, res) => {
+  try {
+    const group = findGroupOr404(req, res);
+    if (!group) return;
+    const { error, name, members } = parseGroup(req.body, group.id);
+    if (error) return res.status(400).json({ error });
+
+    const joined = members.filter(t => !group.members.includes(t));
+    group.name = name;
+    group.members = members;
+    saveGroups();
+    if (group.schedule && joined.length) {
+      applyGroupSchedule(group, joined);
+      enforceSchedules().catch(err => console.error('Enforcement after group update:', err.message));
+    }
+    logAction('group-update', null, `${name} (${groupRules(group).map(r => r.name).join(', ') || 'empty'})`, req.user.username);
+    res.json({ success: true, group: groupSummary(group), message: `Group ${name} saved` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// DELETE /api/groups/:id — members keep their current schedules
+app.delete('/api/groups/:id', (req, res) => {
+  try {
+    const group = findGroupOr404(req, res);
+    if (!group) return;
+    kidGroups = kidGroups.filter(g => g !== group);
+    saveGroups();
+    logAction('group-remove', null, group.name, req.user.username);
+    res.json({ success: true, message: `Group ${group.name} removed` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/groups/:id/schedule  body: { enabled, windows: [{ days, start, end }] }
+app.put('/api/groups/:id/schedule', (req, res) => {
+  try {
+    const group = findGroupOr404(req, res);
+    if (!group) return;
+    const { enabled, windows } = req.body || {};
+    if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'enabled must be true or false' });
+    const winError = windowsError(windows, true);
+    if (winError) return res.status(400).json({ error: winError });
+
+    group.schedule = { enabled, windows: windows.map(w => ({ days: [...w.days], start: w.start, end: w.end })) };
+    saveGroups();
+    applyGroupSchedule(group, group.members);
+    logAction('group-schedule', null,
+      `${group.name}: ${windows.length} window${windows.length === 1 ? '' : 's'}, ${enabled ? 'on' : 'off'}`, req.user.username);
+    enforceSchedules().catch(err => console.error('Enforcement after group schedule:', err.message));
+    res.json({ success: true, group: groupSummary(group), message: `Schedule applied to ${group.name}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/groups/:id/allow
+app.post('/api/groups/:id/allow', async (req, res) => {
+  try {
+    const group = findGroupOr404(req, res);
+    if (!group) return;
+    const members = groupRules(group);
+    const result = await allowKids(members);
+    if (result.error) return res.status(500).json({ error: 'Failed to fetch rules', details: result.message });
+    logBulkChange('group-allow', members, result, `Group ${group.name}`, req.user.username);
+    sendBulkChangeResult(res, result, `${group.name} are now ALLOWED`);
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/groups/:id/block
+app.post('/api/groups/:id/block', async (req, res) => {
   try {
-    const rulesResponse = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesResponse.error) return res.status(500).json({ error: 'Failed to fetch rules', details: rulesResponse.message });
-
-    const allRules = rulesResponse.data || [];
-    let changed = 0;
+    const group = findGroupOr404(req, res);
+    if (!group) return;
+    const members = groupRules(group);
+    const result = await blockKids(members);
+    if (result.error) return res.status(500).json({ error: 'Failed to fetch rules', details: result.message });
+    logBulkChange('group-block', members, result, `Group ${group.name}`, req.user.username);
+    sendBulkChangeResult(res, result, `${group.name} are now BLOCKED`);
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
 
-    for (const homeRule of CONFIG.HOME_RULES) {
-      const currentRule = allRules.find(r => r.tracker === homeRule.tracker);
-      if (currentRule && !currentRule.disabled) {
-        await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: currentRule.id, disabled: true });
-        changed++;
-        await unifiUnblockKid(homeRule.tracker, homeRule.name, ruleSourceAddr(currentRule));
-      }
+// POST /api/groups/:id/timed-allow  body: { minutes: N }
+app.post('/api/groups/:id/timed-allow', async (req, res) => {
+  try {
+    const group = findGroupOr404(req, res);
+    if (!group) return;
+    const minutes = parseInt(req.body.minutes, 10);
+    if (!minutes || minutes < 1 || minutes > 120) {
+      return res.status(400).json({ error: 'minutes must be 1–120' });
     }
-
-    if (changed > 0) await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-    logAction('allow-all', null, `${changed} kids allowed`);
-    res.json({ success: true, changed, message: 'All kids are now ALLOWED' });
+    const members = groupRules(group);
+    const result = await allowKidsTimed(members, minutes);
+    if (result.error) return res.status(500).json({ error: 'Failed to fetch rules', details: result.message });
+    logBulkChange('timed-allow', members, result, `${minutes} min (group ${group.name})`, req.user.username);
+    sendBulkChangeResult(res, result, `${group.name} allowed for ${minutes} min`, { minutes, endTime: result.endTime });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
 });
 
-// POST /api/home/block-all — Enable all block rules (block all kids)
-app.post('/api/home/block-all', async (req, res) => {
+// POST /api/groups/:id/skip-next — skips each member's current or next window
+app.post('/api/groups/:id/skip-next', async (req, res) => {
   try {
-    const rulesResponse = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesResponse.error) return res.status(500).json({ error: 'Failed to fetch rules', details: rulesResponse.message });
-
-    const allRules = rulesResponse.data || [];
-    let changed = 0;
-
-    const toKillStates = [];
-    for (const homeRule of CONFIG.HOME_RULES) {
-      const currentRule = allRules.find(r => r.tracker === homeRule.tracker);
-      if (currentRule && currentRule.disabled) {
-        await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: currentRule.id, disabled: false });
-        toKillStates.push({ rule: currentRule, name: homeRule.name, tracker: homeRule.tracker });
-        changed++;
-      }
+    const group = findGroupOr404(req, res);
+    if (!group) return;
+    const skipped = [];
+    for (const r of groupRules(group)) {
+      const skipUntil = skipNextWindow(r.tracker);
+      if (!skipUntil) continue;
+      const until = new Date(skipUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      logAction('skip-next', r.name, `Skipped until ${until} (group ${group.name})`, req.user.username);
+      skipped.push({ tracker: r.tracker, name: r.name, skipUntil });
     }
+    if (!skipped.length) return res.status(400).json({ error: `No upcoming schedule windows to skip in ${group.name}` });
 
-    if (changed > 0) {
-      await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-      for (const { rule, name, tracker } of toKillStates) {
-        await killStatesForSource(ruleSourceAddr(rule), name);
-        await kickKidInUnifi(tracker, ruleSourceAddr(rule), name);
-      }
-    }
-    logAction('block-all', null, `${changed} kids blocked`);
-    res.json({ success: true, changed, message: 'All kids are now BLOCKED' });
+    enforceSchedules().catch(err => console.error('Enforcement after group skip:', err.message));
+    sendNotif('Skip', `${group.name}: next window skipped for ${skipped.map(s => s.name).join(', ')}`);
+    res.json({ success: true, skipped, message: `Skipped next window for ${skipped.map(s => s.name).join(', ')}` });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
@@ -1213,15 +5177,28 @@ app.put('/api/schedules', (req, res) => {
       if (!Array.isArray(config.windows)) {
         return res.status(400).json({ error: `Invalid windows for tracker ${tracker}` });
       }
-      for (const win of config.windows) {
-        if (!Array.isArray(win.days) || typeof win.start !== 'string' || typeof win.end !== 'string') {
-          return res.status(400).json({ error: 'Invalid window entry' });
+      const winError = windowsError(config.windows, true);
+      if (winError) {
+        const name = CONFIG.HOME_RULES.find(r => String(r.tracker) === String(tracker))?.name || tracker;
+        return res.status(400).json({ error: `${name}: ${winError}` });
+      }
+      if (config.budget !== undefined) {
+        const b = config.budget;
+        const validMins = m => Number.isInteger(m) && m >= 0 && m <= 1440;
+        if (!b || typeof b.enabled !== 'boolean' || !validMins(b.weekdayMinutes) || !validMins(b.weekendMinutes)) {
+          return res.status(400).json({ error: `Invalid budget for tracker ${tracker} (minutes must be 0–1440)` });
         }
       }
     }
+    // budgetOverride is set by a manual allow, not by the editor — keep the current one
+    for (const [tracker, config] of Object.entries(incoming)) {
+      delete config.budgetOverride;
+      const override = scheduleConfig[tracker]?.budgetOverride;
+      if (override) config.budgetOverride = override;
+    }
     scheduleConfig = incoming;
     saveSchedules();
-    logAction('schedules-saved', null, `${Object.keys(incoming).length} kids updated`);
+    logAction('schedules-saved', null, `${Object.keys(incoming).length} kids updated`, req.user.username);
     enforceSchedules().catch(err => console.error('Enforcement after save:', err.message));
     res.json({ success: true, message: 'Schedules saved' });
   } catch (err) {
@@ -1249,6 +5226,433 @@ app.post('/api/schedules/enable-all', (req, res) => {
   res.json({ success: true, message: 'All schedules enabled' });
 });
 
+// ============================================================================
+// Schedule exceptions API
+// ============================================================================
+
+// Validates an exception body. Returns { error } or { exception } (without id).
+function parseScheduleException(body) {
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const { kids, start, type, label } = body || {};
+  const end = body?.end || start;
+
+  if (kids !== 'all') {
+    if (!Array.isArray(kids) || !kids.length) return { error: 'kids must be "all" or a list of trackers' };
+    const unknown = kids.filter(t => !CONFIG.HOME_RULES.some(r => String(r.tracker) === String(t)));
+    if (unknown.length) return { error: `Unknown kid tracker(s): ${unknown.join(', ')}` };
+  }
+  if (!DATE_RE.test(start || '') || !DATE_RE.test(end)) return { error: 'start/end must be YYYY-MM-DD' };
+  if (end < start) return { error: 'end must not be before start' };
+  if (!EXCEPTION_TYPES.includes(type)) return { error: `type must be one of ${EXCEPTION_TYPES.join(', ')}` };
+
+  let windows;
+  if (type === 'custom') {
+    windows = body.windows;
+    if (!Array.isArray(windows) || !windows.length) return { error: 'custom exceptions need at least one window' };
+    const winError = windowsError(windows, false);
+    if (winError) return { error: winError };
+    windows = windows.map(w => ({ start: w.start, end: w.end }));
+  }
+
+  return {
+    exception: {
+      kids: kids === 'all' ? 'all' : kids.map(Number),
+      start,
+      end,
+      type,
+      ...(windows ? { windows } : {}),
+      label: String(label || '').trim().slice(0, 80)
+    }
+  };
+}
+
+// Human-readable summary for the log, e.g. `"Winter break" 2026-12-21–2027-01-02 (weekend, all kids)`
+function describeException(ex) {
+  const dates = ex.start === ex.end ? ex.start : `${ex.start}–${ex.end}`;
+  const who = ex.kids === 'all' ? 'all kids'
+    : ex.kids.map(t => CONFIG.HOME_RULES.find(r => r.tracker === t)?.name || t).join(', ');
+  return `${ex.label ? `"${ex.label}" ` : ''}${dates} (${ex.type}, ${who})`;
+}
+
+// GET /api/schedule-exceptions — all dated exceptions, soonest first
+app.get('/api/schedule-exceptions', (_req, res) => {
+  const exceptions = [...scheduleExceptions].sort((a, b) => a.start.localeCompare(b.start));
+  res.json({ success: true, exceptions });
+});
+
+// POST /api/schedule-exceptions  body: { kids, start, end?, type, windows?, label? }
+app.post('/api/schedule-exceptions', (req, res) => {
+  try {
+    const { error, exception } = parseScheduleException(req.body);
+    if (error) return res.status(400).json({ error });
+    const ex = { id: crypto.randomBytes(6).toString('hex'), ...exception };
+    scheduleExceptions.push(ex);
+    saveScheduleExceptions();
+    logAction('exception-add', null, describeException(ex), req.user.username);
+    enforceSchedules().catch(err => console.error('Enforcement after exception add:', err.message));
+    res.json({ success: true, exception: ex, message: 'Exception added' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// PUT /api/schedule-exceptions/:id — replace an exception
+app.put('/api/schedule-exceptions/:id', (req, res) => {
+  try {
+    const idx = scheduleExceptions.findIndex(e => e.id === req.params.id);
+    if (idx === -1) return res.status(404).json({ error: 'Exception not found' });
+    const { error, exception } = parseScheduleException(req.body);
+    if (error) return res.status(400).json({ error });
+    const ex = { id: req.params.id, ...exception };
+    scheduleExceptions[idx] = ex;
+    saveScheduleExceptions();
+    logAction('exception-update', null, describeException(ex), req.user.username);
+    enforceSchedules().catch(err => console.error('Enforcement after exception update:', err.message));
+    res.json({ success: true, exception: ex, message: 'Exception updated' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// DELETE /api/schedule-exceptions/:id
+app.delete('/api/schedule-exceptions/:id', (req, res) => {
+  try {
+    const ex = scheduleExceptions.find(e => e.id === req.params.id);
+    if (!ex) return res.status(404).json({ error: 'Exception not found' });
+    scheduleExceptions = scheduleExceptions.filter(e => e !== ex);
+    saveScheduleExceptions();
+    logAction('exception-remove', null, describeException(ex), req.user.username);
+    enforceSchedules().catch(err => console.error('Enforcement after exception remove:', err.message));
+    res.json({ success: true, message: 'Exception removed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// ============================================================================
+// Calendar (ICS) — import school holidays as exceptions, export schedules
+// Import: POST /api/schedule-exceptions/import-ics?type=weekend&kids=all
+//         with the raw .ics file as the body (Content-Type: text/calendar)
+// Export: GET /api/schedules/:tracker/calendar.ics — download while signed in
+//         GET /calendar/:tracker.ics?token=…      — subscription URL for calendar apps
+// ============================================================================
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_IMPORT_TYPES = ['weekend', 'weekday', 'blocked'];
+
+// '20261221' or '20261221T090000Z' → '2026-12-21'
+function icsDateToStr(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function icsEscape(text) {
+  return String(text).replace(/[\\;,]/g, c => '\\' + c).replace(/\r?\n/g, '\\n');
+}
+
+function icsUnescape(text) {
+  return String(text).replace(/\\n/gi, ' ').replace(/\\([\\;,])/g, '$1').trim();
+}
+
+// RFC 5545 wants lines folded at 75 octets; continuation lines start with a space
+// (the space included), never splitting a multi-byte character
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+// VTIMEZONE lines for the server's zone (process.env.TZ is TIMEZONE), so TZID
+// references resolve. Each offset change found in `year` becomes a yearly
+// STANDARD/DAYLIGHT rule on the same nth (or last) weekday of its month; a zone
+// without changes gets a single STANDARD.
+function buildVtimezone(tz, year) {
+  const offsetAt = ms => -new Date(ms).getTimezoneOffset();
+  const fmtOffset = min => `${min < 0 ? '-' : '+'}${String(Math.floor(Math.abs(min) / 60)).padStart(2, '0')}${String(Math.abs(min) % 60).padStart(2, '0')}`;
+  const start = new Date(year, 0, 1).getTime();
+  const transitions = [];
+  let prev = offsetAt(start);
+  for (let day = 1; day <= 366; day++) {
+    const off = offsetAt(start + day * 86400000);
+    if (off === prev) continue;
+    // First minute of the day with the new offset
+    let lo = start + (day - 1) * 86400000;
+    let hi = start + day * 86400000;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (offsetAt(mid) === prev) lo = mid; else hi = mid;
+    }
+    transitions.push({ at: hi, from: prev, to: off });
+    prev = off;
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+  if (!transitions.length) {
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${fmtOffset(prev)}`, `TZOFFSETTO:${fmtOffset(prev)}`, 'END:STANDARD');
+  }
+  for (const { at, from, to } of transitions) {
+    // The wall-clock time the change happens at, in the offset it leaves
+    const wall = new Date(at + from * 60000);
+    const month = wall.getUTCMonth() + 1;
+    const date = wall.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(wall.getUTCFullYear(), month, 0)).getUTCDate();
+    const nth = date + 7 > daysInMonth ? -1 : Math.ceil(date / 7);
+    const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${wall.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '')}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${month};BYDAY=${nth}${ICS_DAYS[wall.getUTCDay()]}`,
+      `TZOFFSETFROM:${fmtOffset(from)}`,
+      `TZOFFSETTO:${fmtOffset(to)}`,
+      `END:${kind}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// Returns { events: [{ uid, summary, start, end }], skipped } — end is inclusive.
+// Only all-day events are kept; timed events are counted in `skipped`.
+// RRULEs are not expanded — school calendars list each break as its own event.
+function parseIcsAllDayEvents(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let skipped = 0;
+  let ev = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { ev = {}; continue; }
+    if (line === 'END:VEVENT') {
+      if (ev && ev.allDay && ev.start) {
+        // DTEND is exclusive for all-day events; DURATION counts whole days
+        let end = ev.start;
+        if (ev.end) end = addDays(ev.end, -1);
+        else if (ev.days) end = addDays(ev.start, ev.days - 1);
+        events.push({ uid: ev.uid || null, summary: ev.summary || '', start: ev.start, end: end < ev.start ? ev.start : end });
+      } else {
+        skipped++;
+      }
+      ev = null;
+      continue;
+    }
+    if (!ev) continue;
+
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const [name, ...params] = line.slice(0, colon).toUpperCase().split(';');
+    const value = line.slice(colon + 1).trim();
+    if (name === 'UID') ev.uid = value;
+    else if (name === 'SUMMARY') ev.summary = icsUnescape(value);
+    else if (name === 'DTSTART') {
+      ev.allDay = params.includes('VALUE=DATE') || /^\d{8}$/.test(value);
+      ev.start = icsDateToStr(value);
+    } else if (name === 'DTEND') ev.end = icsDateToStr(value);
+    else if (name === 'DURATION') {
+      const m = /^P(?:(\d+)W)?(?:(\d+)D)?$/.exec(value);
+      if (m) ev.days = (Number(m[1] || 0) * 7) + Number(m[2] || 0);
+    }
+  }
+  return { events, skipped };
+}
+
+// Builds a VCALENDAR with the kid's recurring windows (weekly RRULEs in the
+// server timezone) plus their dated exceptions as all-day events.
+function buildScheduleIcs(rule, config = scheduleConfig[String(rule.tracker)], exceptions = scheduleExceptions) {
+  const tracker = String(rule.tracker);
+  const tz      = process.env.TIMEZONE;
+  const tzParam = tz ? `;TZID=${tz}` : '';
+  const stamp   = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const localStamp = (date, minutes) =>
+    `${toDateStr(date).replace(/-/g, '')}T${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}00`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Kids Internet//Schedules//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsEscape(`${rule.name} — internet schedule`)}`,
+    // Rules start the year before, so every date the feed uses is covered
+    ...(tz ? [`X-WR-TIMEZONE:${tz}`, ...buildVtimezone(tz, new Date().getFullYear() - 1)] : [])
+  ];
+
+  if (config?.enabled) {
+    (config.windows || []).forEach((win, i) => {
+      const days = (Array.isArray(win.days) ? win.days : []).filter(d => Number.isInteger(d) && d >= 0 && d <= 6);
+      if (!days.length) return;
+      // Anchor on the first matching day from today so DTSTART is itself an occurrence
+      const first = new Date();
+      first.setHours(0, 0, 0, 0);
+      for (let n = 0; n < 7 && !days.includes(first.getDay()); n++) first.setDate(first.getDate() + 1);
+      const startMin = timeToMinutes(win.start);
+      const endMin   = timeToMinutes(win.end);
+      const last = new Date(first);
+      if (endMin <= startMin) last.setDate(last.getDate() + 1);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:window-${tracker}-${i}@kids-internet`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART${tzParam}:${localStamp(first, startMin)}`,
+        `DTEND${tzParam}:${localStamp(last, endMin)}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${days.map(d => ICS_DAYS[d]).join(',')}`,
+        `SUMMARY:${icsEscape(`${rule.name} — internet on`)}`,
+        'END:VEVENT'
+      );
+    });
+  }
+
+  for (const ex of exceptions) {
+    if (ex.kids !== 'all' && !ex.kids.map(String).includes(tracker)) continue;
+    const what = { weekend: 'weekend hours', weekday: 'weekday hours', blocked: 'no internet',
+      custom: (ex.windows || []).map(w => `${w.start}–${w.end}`).join(', ') }[ex.type];
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:exception-${ex.id}-${tracker}@kids-internet`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${ex.start.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${addDays(ex.end, 1).replace(/-/g, '')}`,
+      `SUMMARY:${icsEscape(`${rule.name}: ${ex.label ? `${ex.label} (${what})` : what}`)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function getCalendarFeedToken() {
+  if (calendarFeedToken) return calendarFeedToken;
+  calendarFeedToken = crypto.randomBytes(24).toString('hex');
+  let saved = {};
+  try {
+    if (fs.existsSync(SETTINGS_FILE)) saved = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+  } catch (_) {}
+  saved.calendarFeedToken = calendarFeedToken;
+  saveSettings(saved);
+  return calendarFeedToken;
+}
+
+function sendScheduleIcs(res, rule) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${rule.name.replace(/[^\w-]+/g, '_')}-schedule.ics"`);
+  res.send(buildScheduleIcs(rule));
+}
+
+// POST /api/schedule-exceptions/import-ics?type=weekend&kids=all|111,222
+// Each all-day event becomes an exception labelled with its SUMMARY. Events that
+// ended before today are ignored; re-importing the same file updates by UID.
+app.post('/api/schedule-exceptions/import-ics',
+  bodyParser.text({ type: ['text/calendar', 'text/plain', 'application/octet-stream'], limit: '2mb' }),
+  (req, res) => {
+    try {
+      if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+        return res.status(400).json({ error: 'Body must be an iCalendar (.ics) file' });
+      }
+      const type = req.query.type || 'weekend';
+      if (!ICS_IMPORT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of ${ICS_IMPORT_TYPES.join(', ')}` });
+      }
+      const kids = !req.query.kids || req.query.kids === 'all'
+        ? 'all'
+        : String(req.query.kids).split(',').map(t => t.trim()).filter(Boolean);
+
+      const { events, skipped } = parseIcsAllDayEvents(req.body);
+      const today = getTodayStr();
+      const parsed = [];
+      let past = 0;
+      for (const ev of events) {
+        if (ev.end < today) { past++; continue; }
+        const { error, exception } = parseScheduleException({ kids, start: ev.start, end: ev.end, type, label: ev.summary });
+        if (error) return res.status(400).json({ error: `${ev.summary || ev.start}: ${error}` });
+        parsed.push({ uid: ev.uid, exception });
+      }
+
+      let added = 0, updated = 0;
+      for (const { uid, exception } of parsed) {
+        const idx = uid ? scheduleExceptions.findIndex(x =>
+          x.source === 'ics' && x.uid === uid && JSON.stringify(x.kids) === JSON.stringify(exception.kids)) : -1;
+        if (idx >= 0) {
+          scheduleExceptions[idx] = { ...scheduleExceptions[idx], ...exception };
+          updated++;
+        } else {
+          scheduleExceptions.push({ id: crypto.randomBytes(6).toString('hex'), ...exception, source: 'ics', ...(uid ? { uid } : {}) });
+          added++;
+        }
+      }
+
+      if (added || updated) {
+        saveScheduleExceptions();
+        const who = kids === 'all' ? 'all kids' : `${kids.length} kid${kids.length === 1 ? '' : 's'}`;
+        logAction('exception-import', null, `Calendar import: ${added} added, ${updated} updated (${type}, ${who})`, req.user.username);
+        enforceSchedules().catch(err => console.error('Enforcement after calendar import:', err.message));
+      }
+      res.json({
+        success: true, added, updated, past, skipped,
+        message: `Imported ${added + updated} event${added + updated === 1 ? '' : 's'} (${added} new, ${updated} updated)`
+      });
+    } catch (err) {
+      res.status(500).json({ error: 'Internal server error', message: err.message });
+    }
+  });
+
+// GET /api/schedules/calendar-feeds — subscription URL per kid
+app.get('/api/schedules/calendar-feeds', (req, res) => {
+  try {
+    const base  = CONFIG.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    const token = getCalendarFeedToken();
+    const feeds = CONFIG.HOME_RULES.map(r => ({
+      tracker: r.tracker,
+      name:    r.name,
+      url:     `${base.replace(/\/+$/, '')}/calendar/${r.tracker}.ics?token=${token}`
+    }));
+    res.json({ success: true, feeds });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// POST /api/schedules/calendar-feeds/reset — new token; old subscription URLs stop working
+app.post('/api/schedules/calendar-feeds/reset', (req, res) => {
+  try {
+    calendarFeedToken = null;
+    getCalendarFeedToken();
+    logAction('calendar-feed-reset', null, 'Calendar subscription links regenerated', req.user.username);
+    res.json({ success: true, message: 'Calendar links regenerated' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// GET /api/schedules/:tracker/calendar.ics — download while signed in
+app.get('/api/schedules/:tracker/calendar.ics', (req, res) => {
+  const rule = CONFIG.HOME_RULES.find(r => String(r.tracker) === req.params.tracker);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+  sendScheduleIcs(res, rule);
+});
+
+// GET /calendar/:tracker.ics?token=… — read-only feed for calendar apps
+app.get('/calendar/:tracker.ics', (req, res) => {
+  const token = Buffer.from(String(req.query.token || ''));
+  const expected = Buffer.from(getCalendarFeedToken());
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(403).send('Invalid calendar token');
+  }
+  const rule = CONFIG.HOME_RULES.find(r => String(r.tracker) === req.params.tracker);
+  if (!rule) return res.status(404).send('Unknown kid');
+  sendScheduleIcs(res, rule);
+});
+
 // ============================================================================
 // Timed-access routes
 // ============================================================================
@@ -1264,34 +5668,60 @@ app.post('/api/home/rules/:tracker/timed-allow', async (req, res) => {
     const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     if (!configRule) return res.status(404).json({ error: 'Kid not found' });
 
-    // Cancel any existing timer for this kid
-    const existing = activeTimers.get(tracker);
-    if (existing) clearTimeout(existing.timeoutId);
-
-    // Allow the kid now (disable the block rule)
-    const rulesRes = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesRes.error) return res.status(500).json({ error: 'Failed to fetch rules', details: rulesRes.message });
-    const blockRule = (rulesRes.data || []).find(r => r.tracker === tracker);
-    if (blockRule && !blockRule.disabled) {
-      await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: blockRule.id, disabled: true });
-      await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-      await unifiUnblockKid(tracker, configRule.name, ruleSourceAddr(blockRule));
-    }
-
-    const endTime = Date.now() + minutes * 60 * 1000;
-    const timeoutId = setTimeout(() => blockKidNow(tracker), minutes * 60 * 1000);
-    activeTimers.set(tracker, { timeoutId, endTime, kidName: configRule.name });
-    logAction('timed-allow', configRule.name, `${minutes} min`);
+    // The old timer keeps running unless the allow goes through somewhere
+    const result = await allowKidsTimed([configRule], minutes);
+    const failure = timedAllowFailure(result);
+    if (failure) return res.status(failure.status).json({ error: failure.error, details: failure.details });
 
+    logAction('timed-allow', configRule.name, `${minutes} min`, req.user.username);
+    for (const f of result.failed) logAction('rule-change-failed', configRule.name, `timed-allow: ${f.error}`, req.user.username);
+    const failedText = result.failed.map(f => f.error).join('; ');
     res.json({
-      success: true, tracker, name: configRule.name, minutes, endTime,
-      message: `${configRule.name} allowed for ${minutes} min`
+      success: !result.failed.length, tracker, name: configRule.name, minutes, endTime: result.endTime,
+      failed: result.failed,
+      message: `${configRule.name} allowed for ${minutes} min${failedText ? ` — failed for ${failedText}` : ''}`
     });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
 });
 
+// Why a one-kid allowKidsTimed() armed no timer — { status, error, details } —
+// or null when it did (possibly with some firewalls in result.failed)
+function timedAllowFailure(result) {
+  if (result.error) return { status: 500, error: 'Failed to fetch rules', details: result.message };
+  if (result.applyError) return { status: 502, error: 'Firewall apply failed — changes reverted', details: result.applyError };
+  if (!result.endTime || (result.failed.length && !result.changed)) {
+    return { status: 502, error: 'Failed to allow', details: result.failed.map(f => f.error).join('; ') };
+  }
+  return null;
+}
+
+// Allows every kid in homeRules now and (re)starts an N-minute timer for each,
+// with one apply per firewall. Returns bulkChangeSummary() plus { endTime }, or
+// { error, message } when no firewall could be read. Nothing is armed when the apply fails.
+async function allowKidsTimed(homeRules, minutes) {
+  const result = await setKidsAllowed(homeRules, true);
+  if (result.error) return result;
+  const summary = bulkChangeSummary(result);
+  if (result.applyError) return summary;
+
+  // Kids whose rule couldn't be changed anywhere get no timer; one allowed on
+  // some of their firewalls still needs the timer to block them again
+  const endTime = Date.now() + minutes * 60 * 1000;
+  const allowed = new Set(result.succeeded.map(c => c.kid.tracker));
+  const failed = new Set(summary.failed.map(f => f.tracker));
+  for (const configRule of homeRules) {
+    if (failed.has(configRule.tracker) && !allowed.has(configRule.tracker)) continue;
+    const existing = activeTimers.get(configRule.tracker);
+    if (existing) clearTimeout(existing.timeoutId);
+    const timeoutId = setTimeout(() => blockKidNow(configRule.tracker), minutes * 60 * 1000);
+    activeTimers.set(configRule.tracker, { timeoutId, endTime, kidName: configRule.name });
+  }
+  saveTimers();
+  return { ...summary, endTime };
+}
+
 // POST /api/home/allow-all-timed  body: { minutes: N }
 app.post('/api/home/allow-all-timed', async (req, res) => {
   try {
@@ -1300,31 +5730,10 @@ app.post('/api/home/allow-all-timed', async (req, res) => {
       return res.status(400).json({ error: 'minutes must be 1–120' });
     }
 
-    const rulesRes = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesRes.error) return res.status(500).json({ error: 'Failed to fetch rules', details: rulesRes.message });
-    const allRules = rulesRes.data || [];
-
-    const endTime = Date.now() + minutes * 60 * 1000;
-
-    for (const configRule of CONFIG.HOME_RULES) {
-      const existing = activeTimers.get(configRule.tracker);
-      if (existing) clearTimeout(existing.timeoutId);
-
-      const blockRule = allRules.find(r => r.tracker === configRule.tracker);
-      if (blockRule && !blockRule.disabled) {
-        await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: blockRule.id, disabled: true });
-        await unifiUnblockKid(configRule.tracker, configRule.name, ruleSourceAddr(blockRule));
-      }
-
-      const timeoutId = setTimeout(() => blockKidNow(configRule.tracker), minutes * 60 * 1000);
-      activeTimers.set(configRule.tracker, { timeoutId, endTime, kidName: configRule.name });
-    }
-
-    await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-    for (const configRule of CONFIG.HOME_RULES) {
-      logAction('timed-allow', configRule.name, `${minutes} min`);
-    }
-    res.json({ success: true, minutes, endTime, message: `All kids allowed for ${minutes} min` });
+    const result = await allowKidsTimed(CONFIG.HOME_RULES, minutes);
+    if (result.error) return res.status(500).json({ error: 'Failed to fetch rules', details: result.message });
+    logBulkChange('timed-allow', CONFIG.HOME_RULES, result, `${minutes} min`, req.user.username);
+    sendBulkChangeResult(res, result, `All kids allowed for ${minutes} min`, { minutes, endTime: result.endTime });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
@@ -1337,8 +5746,9 @@ app.post('/api/home/rules/:tracker/cancel-timer', async (req, res) => {
     const existing = activeTimers.get(tracker);
     if (existing) {
       clearTimeout(existing.timeoutId);
-      logAction('timer-cancel', existing.kidName, 'Timer cancelled manually');
+      logAction('timer-cancel', existing.kidName, 'Timer cancelled manually', req.user.username);
       activeTimers.delete(tracker);
+      saveTimers();
     }
     await blockKidNow(tracker);
     res.json({ success: true, message: 'Timer cancelled' });
@@ -1347,6 +5757,33 @@ app.post('/api/home/rules/:tracker/cancel-timer', async (req, res) => {
   }
 });
 
+// Adds minutes to a kid's running timer, or allows the kid now and starts a fresh
+// one. Shared by the extend-timer route and approved time requests.
+// Returns { endTime, failed } (failed as in bulkChangeSummary) or, when the kid
+// couldn't be allowed and no timer runs, timedAllowFailure()'s { status, error, details }.
+async function extendKidTimer(configRule, minutes, user) {
+  const tracker = configRule.tracker;
+  const existing = activeTimers.get(tracker);
+  let endTime;
+  let failed = [];
+  if (existing) {
+    endTime = Math.max(existing.endTime, Date.now()) + minutes * 60 * 1000;
+    clearTimeout(existing.timeoutId);
+    const timeoutId = setTimeout(() => blockKidNow(tracker), endTime - Date.now());
+    activeTimers.set(tracker, { timeoutId, endTime, kidName: configRule.name });
+    saveTimers();
+  } else {
+    // The kid is blocked (no active timer), so allow them now
+    const result = await allowKidsTimed([configRule], minutes);
+    const failure = timedAllowFailure(result);
+    if (failure) return failure;
+    ({ endTime, failed } = result);
+    for (const f of failed) logAction('rule-change-failed', configRule.name, `timed-allow: ${f.error}`, user);
+  }
+  logAction('timed-allow', configRule.name, `+${minutes} min`, user);
+  return { endTime, failed };
+}
+
 // POST /api/home/rules/:tracker/extend-timer  body: { minutes: N }
 // Adds N minutes to an existing timer (or starts a fresh one if none is running).
 app.post('/api/home/rules/:tracker/extend-timer', async (req, res) => {
@@ -1359,31 +5796,212 @@ app.post('/api/home/rules/:tracker/extend-timer', async (req, res) => {
     const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     if (!configRule) return res.status(404).json({ error: 'Kid not found' });
 
-    const existing = activeTimers.get(tracker);
-    const baseTime = existing ? existing.endTime : Date.now();
-    const newEndTime = baseTime + minutes * 60 * 1000;
+    const result = await extendKidTimer(configRule, minutes, req.user.username);
+    if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+    const failedText = result.failed.map(f => f.error).join('; ');
+    res.json({ success: !result.failed.length, tracker, name: configRule.name, minutes, endTime: result.endTime, failed: result.failed,
+      message: `Added ${minutes} min — ${configRule.name} allowed until ${new Date(result.endTime).toLocaleTimeString()}`
+        + (failedText ? ` — failed for ${failedText}` : '') });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
 
-    if (existing) clearTimeout(existing.timeoutId);
+// ============================================================================
+// Time requests — a kid asks for extra minutes from the /request page (no login);
+// parents approve or deny in the app or straight from the ntfy notification.
+// Persisted to time-requests.json:
+//   id → { id, tracker, kidName, minutes, reason, createdAt, expiresAt, status, token }
+// status: 'pending' | 'approved' | 'denied' | 'expired'
+// token is a per-request secret so ntfy action buttons can approve without a session.
+// ============================================================================
+const TIME_REQUESTS_FILE   = path.join(__dirname, 'time-requests.json');
+const TIME_REQUEST_TTL_MS  = 15 * 60 * 1000;      // pending requests expire after 15 min
+const TIME_REQUEST_KEEP_MS = 24 * 60 * 60 * 1000; // resolved requests pruned after a day
 
-    // If the kid is currently blocked (no active timer), allow them now
-    if (!existing) {
-      const rulesRes = await pfsenseApiCall('/api/v2/firewall/rules');
-      if (!rulesRes.error) {
-        const blockRule = (rulesRes.data || []).find(r => r.tracker === tracker);
-        if (blockRule && !blockRule.disabled) {
-          await pfsenseApiCall('/api/v2/firewall/rule', 'PATCH', { id: blockRule.id, disabled: true });
-          await pfsenseApiCall('/api/v2/firewall/apply', 'POST');
-          await unifiUnblockKid(tracker, configRule.name, ruleSourceAddr(blockRule));
-        }
-      }
+function loadTimeRequests() {
+  try {
+    if (fs.existsSync(TIME_REQUESTS_FILE)) return JSON.parse(fs.readFileSync(TIME_REQUESTS_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Failed to load time-requests.json:', e.message);
+  }
+  return {};
+}
+
+function saveTimeRequests() {
+  try {
+    fs.writeFileSync(TIME_REQUESTS_FILE, JSON.stringify(timeRequests, null, 2));
+  } catch (e) {
+    console.error('Failed to save time-requests.json:', e.message);
+  }
+}
+
+const timeRequests = loadTimeRequests();
+
+// Look up a request by id from a URL — own keys only, so ids like
+// 'constructor' or '__proto__' don't resolve to Object.prototype members
+function getTimeRequest(id) {
+  return Object.hasOwn(timeRequests, id) ? timeRequests[id] : null;
+}
+
+function pendingRequestFor(tracker) {
+  return Object.values(timeRequests).find(r => r.tracker === tracker && r.status === 'pending') || null;
+}
+
+// Public view of a request — never includes the approval token
+function timeRequestSummary(r) {
+  const { token, ...rest } = r;
+  return rest;
+}
+
+// Called from enforceSchedules: expire stale pending requests, prune old resolved ones
+function expireTimeRequests() {
+  const now = Date.now();
+  let changed = false;
+  for (const r of Object.values(timeRequests)) {
+    if (r.status === 'pending' && now >= r.expiresAt) {
+      r.status = 'expired';
+      r.resolvedAt = now;
+      logAction('request-expired', r.kidName, `${r.minutes} min request expired unanswered`);
+      changed = true;
+    } else if (r.status !== 'pending' && now - (r.resolvedAt || r.createdAt) > TIME_REQUEST_KEEP_MS) {
+      delete timeRequests[r.id];
+      changed = true;
+    }
+  }
+  if (changed) saveTimeRequests();
+}
+
+// Approve (via extendKidTimer, same as the +N buttons) or deny a pending request.
+// Returns { error, status } on failure, or { request, endTime } on success.
+async function resolveTimeRequest(id, approve, user) {
+  const r = getTimeRequest(id);
+  if (!r) return { error: 'Request not found', status: 404 };
+  if (r.status !== 'pending') return { error: `Request already ${r.status}`, status: 409 };
+  const configRule = CONFIG.HOME_RULES.find(k => k.tracker === r.tracker);
+  if (!configRule) return { error: 'Kid not found', status: 404 };
+
+  r.status = approve ? 'approved' : 'denied';
+  r.resolvedAt = Date.now();
+  r.resolvedBy = user;
+  saveTimeRequests();
+
+  let endTime = null;
+  if (approve) {
+    const result = await extendKidTimer(configRule, r.minutes, user);
+    if (result.error) {
+      // Still pending, so it can be approved again once the firewall answers
+      Object.assign(r, { status: 'pending', resolvedAt: undefined, resolvedBy: undefined });
+      saveTimeRequests();
+      return { error: `${result.error}${result.details ? ` — ${result.details}` : ''}`, status: result.status };
+    }
+    endTime = result.endTime;
+    logAction('request-approved', r.kidName, `${r.minutes} min approved`, user);
+  } else {
+    logAction('request-denied', r.kidName, `${r.minutes} min denied`, user);
+  }
+  return { request: r, endTime };
+}
+
+// Request page
+app.get('/request', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'request.html'));
+});
+
+// GET /api/kid/kids — public; names for the kid picker on the request page
+app.get('/api/kid/kids', (_req, res) => {
+  res.json({ success: true, kids: CONFIG.HOME_RULES.map(r => ({ tracker: r.tracker, name: r.name })) });
+});
+
+// POST /api/kid/requests  body: { tracker, minutes, reason } — public; one pending request per kid
+app.post('/api/kid/requests', async (req, res) => {
+  try {
+    const tracker = parseInt(req.body.tracker, 10);
+    const minutes = parseInt(req.body.minutes, 10);
+    const reason  = String(req.body.reason || '').trim().slice(0, 200);
+    const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
+    if (!configRule) return res.status(404).json({ error: 'Kid not found' });
+    if (!minutes || minutes < 1 || minutes > 120) return res.status(400).json({ error: 'minutes must be 1–120' });
+    if (!reason) return res.status(400).json({ error: 'Please give a reason' });
+
+    const pending = pendingRequestFor(tracker);
+    if (pending) {
+      return res.status(409).json({ error: 'You already have a request waiting', request: timeRequestSummary(pending) });
+    }
+
+    const now = Date.now();
+    const r = {
+      id:        crypto.randomBytes(8).toString('hex'),
+      tracker,
+      kidName:   configRule.name,
+      minutes,
+      reason,
+      createdAt: now,
+      expiresAt: now + TIME_REQUEST_TTL_MS,
+      status:    'pending',
+      token:     crypto.randomBytes(24).toString('hex')
+    };
+    timeRequests[r.id] = r;
+    saveTimeRequests();
+    logAction('time-request', r.kidName, `Asked for ${minutes} min — "${reason}"`);
+
+    // ntfy action buttons need a URL the parent's phone can reach
+    const actions = [];
+    if (CONFIG.PUBLIC_URL) {
+      const base = `${CONFIG.PUBLIC_URL.replace(/\/+$/, '')}/api/kid/requests/${r.id}`;
+      actions.push(`http, Approve ${minutes} min, ${base}/approve?token=${r.token}, method=POST, clear=true`);
+      actions.push(`http, Deny, ${base}/deny?token=${r.token}, method=POST, clear=true`);
+    }
+    sendNotif('Time Request', `${r.kidName} asks for ${minutes} more min: ${reason}`, actions);
+
+    res.json({ success: true, request: timeRequestSummary(r), message: 'Request sent — waiting for a parent' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// GET /api/kid/requests/:id — public; lets the request page poll for an answer
+app.get('/api/kid/requests/:id', (req, res) => {
+  const r = getTimeRequest(req.params.id);
+  if (!r) return res.status(404).json({ error: 'Request not found' });
+  res.json({ success: true, request: timeRequestSummary(r) });
+});
+
+// POST /api/kid/requests/:id/approve|deny?token=... — ntfy action buttons (token instead of session)
+app.post('/api/kid/requests/:id/:decision(approve|deny)', async (req, res) => {
+  try {
+    const r = getTimeRequest(req.params.id);
+    // Byte lengths — timingSafeEqual throws on Buffers of different sizes
+    const token = Buffer.from(String(req.query.token || ''));
+    const expected = Buffer.from(r ? r.token : '');
+    if (!r || token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+      return res.status(403).json({ error: 'Invalid request token' });
     }
+    const result = await resolveTimeRequest(r.id, req.params.decision === 'approve', 'ntfy');
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, request: timeRequestSummary(result.request) });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  }
+});
+
+// GET /api/time-requests — pending requests for the dashboard
+app.get('/api/time-requests', (_req, res) => {
+  const pending = Object.values(timeRequests).filter(r => r.status === 'pending').map(timeRequestSummary);
+  res.json({ success: true, requests: pending });
+});
 
-    const delay = newEndTime - Date.now();
-    const timeoutId = setTimeout(() => blockKidNow(tracker), delay);
-    activeTimers.set(tracker, { timeoutId, endTime: newEndTime, kidName: configRule.name });
-    logAction('timed-allow', configRule.name, `+${minutes} min`);
-    res.json({ success: true, tracker, name: configRule.name, minutes, endTime: newEndTime,
-      message: `Added ${minutes} min — ${configRule.name} allowed until ${new Date(newEndTime).toLocaleTimeString()}` });
+// POST /api/time-requests/:id/approve|deny — parent answers from the app
+app.post('/api/time-requests/:id/:decision(approve|deny)', async (req, res) => {
+  try {
+    const approve = req.params.decision === 'approve';
+    const result = await resolveTimeRequest(req.params.id, approve, req.user.username);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    const r = result.request;
+    res.json({
+      success: true, request: timeRequestSummary(r), endTime: result.endTime,
+      message: approve ? `${r.kidName} given ${r.minutes} more min` : `${r.kidName}'s request denied`
+    });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
@@ -1393,37 +6011,45 @@ app.post('/api/home/rules/:tracker/extend-timer', async (req, res) => {
 // Skip-next routes
 // ============================================================================
 
-// POST /api/home/rules/:tracker/skip-next
 // Skips the currently-active window (if in one) or the next upcoming window.
 // The kid stays blocked until the end of that window, then normal schedule resumes.
+// Returns the skip end (ms), or null if the kid has no window to skip.
+// Callers run enforceSchedules() afterwards to apply it.
+function skipNextWindow(tracker) {
+  const info = computeScheduleInfo(String(tracker));
+  let skipUntil = null;
+
+  if (info.active && info.windowEnd) {
+    // Currently in a window — skip until it ends
+    skipUntil = info.windowEnd;
+  } else if (info.nextEnd) {
+    // Not in a window — skip the next upcoming window entirely
+    skipUntil = info.nextEnd;
+  }
+  if (!skipUntil) return null;
+
+  activeSkips.set(tracker, skipUntil);
+  saveTimers();
+  return skipUntil;
+}
+
+// POST /api/home/rules/:tracker/skip-next
 app.post('/api/home/rules/:tracker/skip-next', async (req, res) => {
   try {
     const tracker = parseInt(req.params.tracker, 10);
     const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     if (!configRule) return res.status(404).json({ error: 'Kid not found' });
 
-    const info = computeScheduleInfo(String(tracker));
-    let skipUntil = null;
-
-    if (info.active && info.windowEnd) {
-      // Currently in a window — skip until it ends
-      skipUntil = info.windowEnd;
-    } else if (info.nextEnd) {
-      // Not in a window — skip the next upcoming window entirely
-      skipUntil = info.nextEnd;
-    }
-
+    const skipUntil = skipNextWindow(tracker);
     if (!skipUntil) {
       return res.status(400).json({ error: 'No upcoming schedule window to skip' });
     }
 
-    activeSkips.set(tracker, skipUntil);
-
     // Apply immediately (blocks kid if currently in window)
     enforceSchedules().catch(err => console.error('Enforcement after skip:', err.message));
 
     const until = new Date(skipUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-    logAction('skip-next', configRule.name, `Skipped until ${until}`);
+    logAction('skip-next', configRule.name, `Skipped until ${until}`, req.user.username);
     sendNotif('Skip', `${configRule.name}'s next window skipped until ${until}`);
     res.json({ success: true, tracker, name: configRule.name, skipUntil,
       message: `${configRule.name}'s next window skipped until ${until}` });
@@ -1438,7 +6064,8 @@ app.post('/api/home/rules/:tracker/cancel-skip', async (req, res) => {
     const tracker = parseInt(req.params.tracker, 10);
     const skipRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     activeSkips.delete(tracker);
-    logAction('skip-cancel', skipRule?.name || String(tracker), 'Skip cancelled');
+    saveTimers();
+    logAction('skip-cancel', skipRule?.name || String(tracker), 'Skip cancelled', req.user.username);
     enforceSchedules().catch(err => console.error('Enforcement after skip cancel:', err.message));
     res.json({ success: true, message: 'Skip cancelled' });
   } catch (err) {
@@ -1470,30 +6097,52 @@ app.post('/api/home/rules/:tracker/day-override', (req, res) => {
     saveSchedules();
     enforceSchedules().catch(err => console.error('Enforcement after day-override:', err.message));
     const msg = treatAs ? `Today treating as ${treatAs}` : 'Day override cleared';
-    logAction('day-override', configRule.name, msg);
+    logAction('day-override', configRule.name, msg, req.user.username);
     res.json({ success: true, message: msg });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
 });
 
-// POST /api/home/rules/:tracker/kill-states
+// POST /api/home/rules/:tracker/kill-states — on every firewall the kid is on
 app.post('/api/home/rules/:tracker/kill-states', async (req, res) => {
   try {
     const tracker = parseInt(req.params.tracker, 10);
     const configRule = CONFIG.HOME_RULES.find(r => r.tracker === tracker);
     if (!configRule) return res.status(404).json({ error: 'Kid not found in configuration' });
 
-    const rulesResponse = await pfsenseApiCall('/api/v2/firewall/rules');
-    if (rulesResponse.error) return res.status(500).json({ error: 'Failed to fetch rules', details: rulesResponse.message });
+    const rulesByFw = await getRulesByFirewall(firewallsFor([configRule]));
+    const readError = allFirewallsFailed(rulesByFw);
+    if (readError) return res.status(500).json({ error: 'Failed to fetch rules', details: readError });
 
-    const allRules = rulesResponse.data || [];
-    const blockRule = allRules.find(r => r.tracker === tracker);
-    if (!blockRule) return res.status(404).json({ error: 'Rule not found on pfSense' });
+    const found = findKidRules(configRule, rulesByFw).filter(f => f.rule);
+    if (!found.length) return res.status(404).json({ error: 'Rule not found on pfSense' });
 
-    await killStatesForSource(ruleSourceAddr(blockRule), configRule.name);
-    logAction('kill-states', configRule.name, 'States killed manually');
-    res.json({ success: true, tracker, name: configRule.name, message: `States killed for ${configRule.name}` });
+    const result = { methods: [], ips: [], failed: [] };
+    for (const { fw, rule } of found) {
+      const r = await killStatesForSource(ruleSourceAddr(rule), configRule.name, fw);
+      result.methods.push(...r.methods.filter(m => !result.methods.includes(m)));
+      result.ips.push(...r.ips);
+      result.failed.push(...r.failed);
+    }
+    if (!result.ips.length) {
+      return res.status(502).json({
+        error: `Could not kill states for ${configRule.name}`,
+        details: result.failed.map(f => `${f.ip}: ${f.error}`).join('; ') || 'No device IPs found for this kid',
+      });
+    }
+    const via = result.methods.join(', ');
+    const failedText = result.failed.length ? `; failed for ${result.failed.map(f => f.ip).join(', ')}` : '';
+    logAction('kill-states', configRule.name, `States killed manually via ${via}${failedText}`, req.user.username);
+    res.json({
+      success: !result.failed.length,
+      tracker,
+      name: configRule.name,
+      methods: result.methods,
+      ips: result.ips,
+      failed: result.failed,
+      message: `States killed for ${configRule.name} via ${via}${failedText}`
+    });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error', message: err.message });
   }
@@ -1504,16 +6153,39 @@ app.post('/api/home/rules/:tracker/kill-states', async (req, res) => {
 // ============================================================================
 const PORT = 3030;
 
-app.listen(PORT, async () => {
+// Only when run directly — the tests require() this file for its helpers
+if (require.main === module) app.listen(PORT, async () => {
   console.log(`\n✓ pfSense Kids Access running at http://localhost:${PORT}`);
   console.log(`✓ Configured ${CONFIG.HOME_RULES.length} kids for control`);
-  console.log(`✓ Connected to pfSense: ${CONFIG.PFSENSE_URL}`);
+  console.log(`✓ Connected to ${firewallAdapter(defaultFirewall()).label}: ${CONFIG.PFSENSE_URL}`);
   console.log(`✓ Schedule enforcement active (every 15s)`);
+  console.log(`✓ DHCP reservation check every ${RECONCILE_INTERVAL_MS / 60000} min`);
   console.log(`✓ Schedule page: http://localhost:${PORT}/schedule\n`);
 
+  writeKnownHosts();
+  for (const fw of allFirewalls()) {
+    const warning = sshHostKeyWarning(fw);
+    if (warning) console.log(`✓ SSH to ${fw.name}: ${warning}`);
+  }
+
+  // Re-arm timers/skips from timers.json before enforcement sees them
+  await restoreTimers();
+
   // Run initial schedule enforcement
   await enforceSchedules();
 
   // Run every 15 seconds
   setInterval(enforceSchedules, 15 * 1000);
+
+  runUsageJobs();
+  setInterval(runUsageJobs, USAGE_JOBS_INTERVAL_MS);
+
+  // Keep aliases in step with DHCP (first run in the background)
+  const reconcile = () => reconcileReservations().catch(e => console.error('Reservation reconciliation failed:', e.message));
+  reconcile();
+  setInterval(reconcile, RECONCILE_INTERVAL_MS);
 });
+
+module.exports = {
+  parseLogFilter, csvCell, ipv4InCidr, normaliseMac, isRandomisedMac, currentLease, buildScheduleIcs,
+};
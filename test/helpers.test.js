@@ -0,0 +1,135 @@
+// Pure helpers from server.js — run with `npm test` (node:test, no server started)
+process.env.TIMEZONE = 'Europe/London';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseLogFilter, csvCell, ipv4InCidr, normaliseMac, isRandomisedMac, currentLease, buildScheduleIcs,
+} = require('../server');
+
+test('parseLogFilter', () => {
+  const f = parseLogFilter({ kid: 'Sam', type: 'timer', action: 'timed-allow, timer-cancel,', from: '2026-10-01', to: '2026-10-02' });
+  assert.equal(f.kid, 'Sam');
+  assert.equal(f.type, 'timer');
+  assert.deepEqual(f.actions, ['timed-allow', 'timer-cancel']);
+  assert.equal(f.from, new Date(2026, 9, 1).getTime());
+  assert.equal(f.to, new Date(2026, 9, 3).getTime());
+
+  assert.deepEqual(parseLogFilter(undefined), { kid: null, type: null, actions: null, from: null, to: null });
+  assert.match(parseLogFilter({ type: 'nope' }).error, /type must be one of/);
+  assert.match(parseLogFilter({ from: '2026-13-01' }).error, /must be dates/);
+  assert.match(parseLogFilter({ from: '2026-10-02', to: '2026-10-01' }).error, /must not be after/);
+});
+
+test('csvCell', () => {
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+  assert.equal(csvCell(42), '42');
+  assert.equal(csvCell('plain'), 'plain');
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('two\nlines'), '"two\nlines"');
+  assert.equal(csvCell('=SUM(A1)'), "'=SUM(A1)");
+  assert.equal(csvCell('-1'), "'-1");
+  assert.equal(csvCell('@x,y'), `"'@x,y"`);
+});
+
+test('ipv4InCidr', () => {
+  assert.equal(ipv4InCidr('10.0.0.5', '10.0.0.0/24'), true);
+  assert.equal(ipv4InCidr('10.0.1.5', '10.0.0.0/24'), false);
+  assert.equal(ipv4InCidr('10.0.0.5', '10.0.0.5'), true);
+  assert.equal(ipv4InCidr('10.0.0.6', '10.0.0.5'), false);
+  assert.equal(ipv4InCidr('192.168.1.1', '0.0.0.0/0'), true);
+  assert.equal(ipv4InCidr('10.0.0.5', '10.0.0.0/33'), false);
+  assert.equal(ipv4InCidr('10.0.0.5', '10.0.0.0/x'), false);
+  assert.equal(ipv4InCidr('fe80::1', '10.0.0.0/8'), false);
+  assert.equal(ipv4InCidr('10.0.0.5', 'fe80::/64'), false);
+});
+
+test('normaliseMac', () => {
+  assert.equal(normaliseMac('AA-BB-CC-00-11-22'), 'aa:bb:cc:00:11:22');
+  assert.equal(normaliseMac('aabb.cc00.1122'), 'aa:bb:cc:00:11:22');
+  assert.equal(normaliseMac('aa:bb:cc:00:11'), null);
+  assert.equal(normaliseMac(''), null);
+  assert.equal(normaliseMac(null), null);
+});
+
+test('isRandomisedMac', () => {
+  for (const mac of ['02:00:00:00:00:01', 'a6:00:00:00:00:01', 'da:00:00:00:00:01', 'fe:00:00:00:00:01']) {
+    assert.equal(isRandomisedMac(mac), true, mac);
+  }
+  for (const mac of ['00:11:22:33:44:55', 'a4:00:00:00:00:01', 'f0:00:00:00:00:01']) {
+    assert.equal(isRandomisedMac(mac), false, mac);
+  }
+});
+
+test('currentLease', () => {
+  const now = Date.now();
+  const mac = '00:11:22:33:44:55';
+  const lease = (ip, extra) => ({ ip, mac, online: null, active: true, ends: null, ...extra });
+
+  assert.equal(currentLease([], mac, now), null);
+  assert.equal(currentLease([lease('10.0.0.9', { mac: '00:00:00:00:00:01' })], mac, now), null);
+  assert.equal(currentLease([lease('10.0.0.9', { ends: now - 1 })], mac, now), null);
+  assert.equal(currentLease([lease('10.0.0.9', { active: false })], mac, now), null);
+
+  const leases = [
+    lease('10.0.0.1', { online: false }),
+    lease('10.0.0.2', { online: null, ends: now + 60000 }),
+    lease('10.0.0.3', { online: true, ends: now - 1 }),
+  ];
+  assert.equal(currentLease(leases, mac, now).ip, '10.0.0.2');
+  assert.equal(currentLease([...leases, lease('10.0.0.4', { online: true })], mac, now).ip, '10.0.0.4');
+  assert.equal(currentLease([leases[0]], mac, now).ip, '10.0.0.1');
+});
+
+test('buildScheduleIcs', () => {
+  const rule = { tracker: 111, name: 'Zoë with a rather long name, to make the calendar name fold' };
+  const config = {
+    enabled: true,
+    windows: [
+      { days: [1, 3], start: '15:00', end: '19:30' },
+      { days: [7, 'x'], start: '08:00', end: '09:00' },
+      { days: [5], start: '22:00', end: '01:00' },
+    ],
+  };
+  const exceptions = [
+    { id: 'ex1', kids: 'all', type: 'blocked', start: '2026-12-24', end: '2026-12-26', label: 'Christmas' },
+    { id: 'ex2', kids: [222], type: 'weekend', start: '2026-11-02', end: '2026-11-02' },
+  ];
+  const ics = buildScheduleIcs(rule, config, exceptions);
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  for (const line of ics.split('\r\n')) assert.ok(Buffer.byteLength(line) <= 75, line);
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  assert.ok(lines.includes(`X-WR-CALNAME:${rule.name.replace(/,/g, '\\,')} — internet schedule`));
+
+  // Europe/London: a VTIMEZONE with both rules, so TZID references resolve
+  assert.ok(lines.includes('TZID:Europe/London'));
+  assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+  assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+
+  // Two windows (the one with no valid days is skipped) and one exception for this kid
+  assert.equal(lines.filter(l => l === 'BEGIN:VEVENT').length, 3);
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,WE'));
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=FR'));
+  assert.ok(!lines.some(l => l.startsWith('UID:window-111-1@')));
+  const start = lines.find(l => l.startsWith('DTSTART;TZID=Europe/London:') && l.endsWith('T150000'));
+  const day = new Date(start.slice(-15, -11), start.slice(-11, -9) - 1, start.slice(-9, -7)).getDay();
+  assert.ok([1, 3].includes(day));
+
+  // Overnight window ends the next day
+  const fri = lines[lines.indexOf('UID:window-111-2@kids-internet') + 2];
+  const friEnd = lines[lines.indexOf('UID:window-111-2@kids-internet') + 3];
+  assert.match(fri, /T220000$/);
+  assert.match(friEnd, /T010000$/);
+  assert.notEqual(fri.slice(-15, -7), friEnd.slice(-15, -7));
+
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261224'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20261227'));
+  assert.ok(!lines.some(l => l.startsWith('UID:exception-ex2-')));
+
+  // Disabled schedules still export their exceptions
+  const off = buildScheduleIcs(rule, { ...config, enabled: false }, exceptions);
+  assert.equal(off.split('\r\n').filter(l => l === 'BEGIN:VEVENT').length, 1);
+});